@@ -0,0 +1,54 @@
+// api/_lib/auth.js
+// Access control for the Notion proxy routes
+//
+// API_ACCESS_TOKEN  shared secret clients send as `Authorization: Bearer <token>`
+// ALLOWED_ORIGINS   comma-separated origins allowed to call the API cross-origin
+//                   (the app's own origin never needs to be listed)
+
+import { timingSafeEqual } from 'node:crypto';
+import { sendError } from './errors.js';
+
+// CORS for allowlisted origins only; anything else gets no CORS headers and
+// the browser blocks the response
+export function applyCors(req, res, methods) {
+  const origin = req.headers?.origin;
+  const allowed = (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(o => o.trim())
+    .filter(Boolean);
+
+  res.setHeader('Vary', 'Origin');
+  if (origin && allowed.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Time-Zone');
+    res.setHeader('Access-Control-Expose-Headers', 'X-Next-Cursor');
+  }
+}
+
+const tokensMatch = (given, expected) => {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+// Returns true when the request carries the access token; otherwise sends the
+// error response and returns false
+export function requireAuth(req, res) {
+  const expected = process.env.API_ACCESS_TOKEN;
+
+  if (!expected) {
+    sendError(res, 500, 'server_config', 'API_ACCESS_TOKEN not configured');
+    return false;
+  }
+
+  const header = req.headers?.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  if (!token || !tokensMatch(token, expected)) {
+    sendError(res, 401, 'unauthorized', 'Missing or invalid access token');
+    return false;
+  }
+
+  return true;
+}
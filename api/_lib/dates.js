@@ -0,0 +1,32 @@
+// api/_lib/dates.js
+// Calendar days for check-ins. The app sends the user's time zone in the
+// X-Time-Zone header, so a date the server fills in is the user's local day
+// rather than the UTC one.
+
+export const isTimeZone = (value) => {
+  if (typeof value !== 'string' || !value) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// YYYY-MM-DD of `date` on the calendar of `timeZone` (UTC when not given).
+// Same arguments as dateKeyIn in src/utils/periods.js.
+export const dateKeyIn = (date = new Date(), timeZone = 'UTC') => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+};
+
+// HH:MM (24-hour) of `date` on the clock of `timeZone`
+export const timeIn = (date = new Date(), timeZone = 'UTC') => (
+  new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date)
+);
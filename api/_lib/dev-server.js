@@ -0,0 +1,74 @@
+// api/_lib/dev-server.js
+// Serves the api/ routes from Vite's dev and preview servers (vite.config.js),
+// so the app runs without `vercel dev` - e.g. self-hosted with STORAGE_BACKEND=file.
+// Only the parts of Vercel's request/response helpers the routes use are provided.
+
+import { existsSync } from 'node:fs';
+import { resolve, sep } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { sendError } from './errors.js';
+
+const API_DIR = resolve(import.meta.dirname, '..');
+
+// /api/notion/resolutions -> api/notion/resolutions.js; api/_lib is never routed
+const routeFile = (pathname) => {
+  const file = resolve(API_DIR, `.${pathname.slice('/api'.length)}.js`);
+  const inside = file.startsWith(API_DIR + sep);
+  const isLib = file.startsWith(resolve(API_DIR, '_lib') + sep);
+  return inside && !isLib && existsSync(file) ? file : null;
+};
+
+const readBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    // Same as Vercel: unparsable JSON reaches the handler as the raw string
+    return text;
+  }
+};
+
+const withVercelHelpers = (res) => {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  return res;
+};
+
+// `loadModule(file)` imports a route; Vite's dev server passes ssrLoadModule so
+// edits to the API apply without a restart
+export function apiMiddleware(loadModule = (file) => import(pathToFileURL(file).href)) {
+  return async (req, res, next) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.startsWith('/api/')) {
+      return next();
+    }
+
+    withVercelHelpers(res);
+    const file = routeFile(url.pathname);
+    if (!file) {
+      return sendError(res, 404, 'not_found', `No API route at ${url.pathname}`);
+    }
+
+    try {
+      req.query = Object.fromEntries(url.searchParams);
+      req.body = await readBody(req);
+      const { default: handler } = await loadModule(file);
+      await handler(req, res);
+    } catch (error) {
+      console.error('API route error:', error);
+      if (!res.headersSent) {
+        sendError(res, 500, 'internal_error', 'Internal server error');
+      }
+    }
+  };
+}
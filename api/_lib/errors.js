@@ -0,0 +1,57 @@
+// api/_lib/errors.js
+// Error contract shared by every API route (files under api/_lib aren't routes)
+//
+// Every non-2xx response has the same shape:
+//   { code: 'validation_error', message: 'Human readable summary', fields: { target: 'Must be greater than 0' } }
+// `code` is stable and meant for programs, `message` is meant for people, and
+// `fields` only appears on validation errors. Some codes add context (a 409
+// `conflict` carries `remote`). Raw Notion error bodies are logged, never returned.
+
+export function sendError(res, status, code, message, extra = {}) {
+  return res.status(status).json({ code, message, ...extra });
+}
+
+export function sendValidationError(res, fields) {
+  const count = Object.keys(fields).length;
+  return sendError(res, 400, 'validation_error', `${count} field${count === 1 ? '' : 's'} failed validation`, { fields });
+}
+
+const NOTION_ERROR_CODES = {
+  400: 'notion_rejected',
+  401: 'notion_unauthorized',
+  403: 'notion_forbidden',
+  404: 'not_found',
+  409: 'notion_conflict',
+  429: 'rate_limited',
+};
+
+// Thrown by the storage backends (api/_lib/store) and turned into an error
+// response by the route's catch block
+export class ApiError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+// Catch-all for route handlers: ApiErrors keep their code, anything else is a 500
+export function sendCaughtError(res, error) {
+  if (error instanceof ApiError) {
+    return sendError(res, error.status, error.code, error.message, error.extra);
+  }
+  console.error('Server error:', error);
+  return sendError(res, 500, 'internal_error', 'Internal server error');
+}
+
+// Translate a failed Notion response; `action` reads like "update in Notion"
+export async function notionError(response, action) {
+  const error = await response.json().catch(() => ({}));
+  console.error(`Notion error (${action}):`, error);
+
+  const code = NOTION_ERROR_CODES[response.status] || 'notion_error';
+  const status = response.status >= 500 ? 502 : response.status;
+  return new ApiError(status, code, `Failed to ${action}: ${error.message || response.statusText || 'unknown error'}`);
+}
@@ -0,0 +1,34 @@
+// api/_lib/reminders.js
+// Which push subscriptions are due a check-in reminder, and what it says
+//
+// Subscriptions are { endpoint, keys, reminderTime, timeZone, lastReminded }:
+// each device asks for one reminder a day at `reminderTime` on its own clock.
+// The reminders route can run on any schedule; a subscription is due from its
+// reminder time until the end of that day, and only once per day.
+
+import { dateKeyIn, timeIn } from './dates.js';
+
+// Push services cap the encrypted message at 4096 bytes; keep well clear
+const MAX_BODY_LENGTH = 200;
+
+export const isDue = ({ reminderTime, timeZone, lastReminded }, now = new Date()) => (
+  lastReminded !== dateKeyIn(now, timeZone) && timeIn(now, timeZone) >= reminderTime
+);
+
+const truncate = (text) => (
+  text.length > MAX_BODY_LENGTH ? `${text.slice(0, MAX_BODY_LENGTH - 1)}…` : text
+);
+
+// The notification for resolutions without a check-in on `today`, or null
+// when every one of them has been checked in. The service worker's push
+// handler shows it; "✓ Check In" opens `url`.
+export function reminderMessage(resolutions, today) {
+  const pending = resolutions.filter(r => !r.archived && r.lastCheckin !== today);
+  if (pending.length === 0) return null;
+
+  const body = pending.length === 1
+    ? `No check-in yet today for ${pending[0].title}`
+    : `${pending.length} resolutions without a check-in today: ${pending.map(r => r.title).join(', ')}`;
+
+  return { title: 'Time to check in', body: truncate(body), url: '/?action=checkin' };
+}
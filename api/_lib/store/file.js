@@ -0,0 +1,181 @@
+// api/_lib/store/file.js
+// Storage backend that keeps everything in one local JSON file, for running
+// the app self-hosted or developing without a Notion workspace
+//
+// LOCAL_DATA_FILE  path of the data file (default .data/restracker.json)
+//
+// Vercel's filesystem is read-only and not shared between invocations, so this
+// backend is for a long-running server (npm run dev / npm run preview).
+
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { ApiError } from '../errors.js';
+
+const DEFAULT_DATA_FILE = '.data/restracker.json';
+
+// Same order as the Notion query: category, then title
+const byCategoryAndTitle = (a, b) => (
+  a.category.localeCompare(b.category) || a.title.localeCompare(b.title)
+);
+
+const RESOLUTION_KEYS = ['title', 'category', 'target', 'current', 'unit', 'frequency', 'streak', 'lastCheckin', 'step'];
+
+const pickFields = (fields) => Object.fromEntries(
+  RESOLUTION_KEYS.filter(key => fields[key] !== undefined).map(key => [key, fields[key]])
+);
+
+// `lastEdited` doubles as the version for conflict checks, so two writes in
+// the same millisecond must still get different ones
+const nextVersion = (previous) => {
+  const now = Date.now();
+  const last = previous ? Date.parse(previous) : 0;
+  return new Date(Math.max(now, last + 1)).toISOString();
+};
+
+// Writes from concurrent requests are chained so none of them is lost
+let writeQueue = Promise.resolve();
+
+export function createFileStore({ path = process.env.LOCAL_DATA_FILE || DEFAULT_DATA_FILE } = {}) {
+  const file = resolve(path);
+
+  const load = async () => {
+    try {
+      const data = JSON.parse(await readFile(file, 'utf8'));
+      return { resolutions: data.resolutions || [], checkins: data.checkins || [], subscriptions: data.subscriptions || [] };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { resolutions: [], checkins: [], subscriptions: [] };
+      }
+      console.error(`Could not read ${file}:`, error);
+      throw new ApiError(500, 'server_config', 'Local data file is unreadable');
+    }
+  };
+
+  // Write to a temp file and rename so a crash never leaves half a file behind
+  const save = async (data) => {
+    await mkdir(dirname(file), { recursive: true });
+    await writeFile(`${file}.tmp`, JSON.stringify(data, null, 2));
+    await rename(`${file}.tmp`, file);
+  };
+
+  // Read-modify-write under the queue; `change` returns the call's result
+  const transact = (change) => {
+    const run = writeQueue.then(async () => {
+      const data = await load();
+      const result = change(data);
+      await save(data);
+      return result;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  const findResolution = (data, id) => {
+    const resolution = data.resolutions.find(r => r.id === id);
+    if (!resolution) {
+      throw new ApiError(404, 'not_found', 'Resolution not found');
+    }
+    return resolution;
+  };
+
+  return {
+    name: 'file',
+
+    // Everything fits in one response, so there is never a next cursor
+    async list({ category, frequency, archived = 'false' } = {}) {
+      const { resolutions } = await load();
+      return {
+        resolutions: resolutions
+          .filter(r => !category || r.category === category)
+          .filter(r => !frequency || r.frequency === frequency)
+          .filter(r => archived === 'all' || String(r.archived) === archived)
+          .sort(byCategoryAndTitle),
+        nextCursor: undefined,
+      };
+    },
+
+    async get(id) {
+      const { resolutions } = await load();
+      return resolutions.find(r => r.id === id) || null;
+    },
+
+    create(fields) {
+      return transact((data) => {
+        const id = randomUUID();
+        const resolution = {
+          id,
+          notionPageId: id,
+          lastCheckin: '',
+          ...pickFields(fields),
+          lastEdited: nextVersion(),
+          archived: false,
+        };
+        data.resolutions.push(resolution);
+        return resolution;
+      });
+    },
+
+    update(id, updates) {
+      return transact((data) => {
+        const resolution = findResolution(data, id);
+        Object.assign(resolution, pickFields(updates), { lastEdited: nextVersion(resolution.lastEdited) });
+        return resolution;
+      });
+    },
+
+    archive(id) {
+      return transact((data) => {
+        const resolution = findResolution(data, id);
+        resolution.archived = true;
+        resolution.lastEdited = nextVersion(resolution.lastEdited);
+      });
+    },
+
+    logCheckin({ resolutionId, date, amount, progress }) {
+      return transact((data) => {
+        const entry = { id: randomUUID(), resolutionId, date, amount, progress: progress ?? null };
+        data.checkins.push(entry);
+        return entry;
+      });
+    },
+
+    // Newest first, like the Notion log (later entries win ties on the same day)
+    async listCheckins(resolutionId, { since } = {}) {
+      const { checkins } = await load();
+      return checkins
+        .filter(c => (!resolutionId || c.resolutionId === resolutionId) && (!since || c.date >= since))
+        .reverse()
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .map(c => ({ id: c.id, resolutionId: c.resolutionId, date: c.date, amount: c.amount, progress: c.progress }));
+    },
+
+    async listSubscriptions() {
+      const { subscriptions } = await load();
+      return subscriptions;
+    },
+
+    // One subscription per endpoint; saving an existing one updates it
+    saveSubscription(subscription) {
+      return transact((data) => {
+        const existing = data.subscriptions.find(s => s.endpoint === subscription.endpoint);
+        if (existing) {
+          return Object.assign(existing, subscription);
+        }
+        data.subscriptions.push(subscription);
+        return subscription;
+      });
+    },
+
+    deleteSubscription(endpoint) {
+      return transact((data) => {
+        data.subscriptions = data.subscriptions.filter(s => s.endpoint !== endpoint);
+      });
+    },
+
+    // The file has no schema to get wrong
+    async checkSchema() {
+      return { backend: 'file', ok: true, databases: [] };
+    },
+  };
+}
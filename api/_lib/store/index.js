@@ -0,0 +1,41 @@
+// api/_lib/store/index.js
+// Picks the storage backend for the API routes
+//
+// STORAGE_BACKEND  'notion' (default) or 'file'
+//
+// Every backend implements the same interface; resolutions use the app's
+// shape ({ id, title, category, target, current, unit, frequency, streak,
+// lastCheckin, step, lastEdited, archived }):
+//   list({ category, frequency, archived, cursor }) -> { resolutions, nextCursor }
+//   get(id)                                         -> resolution or null
+//   create(fields)                                  -> resolution
+//   update(id, updates)                             -> resolution
+//   archive(id)
+//   logCheckin({ resolutionId, date, amount, progress }) -> entry or null when not logged
+//   listCheckins(resolutionId, { since })           -> [{ id, resolutionId, date, amount, progress }], newest first;
+//                                                      every resolution's when resolutionId is null
+//   listSubscriptions()                             -> [{ endpoint, keys, reminderTime, timeZone, lastReminded }]
+//   saveSubscription(subscription)                  -> subscription (added, or merged into the one with its endpoint)
+//   deleteSubscription(endpoint)
+//   checkSchema({ provision })                      -> { backend, ok, databases: [{ name, ok, properties, created }] }
+// Failures are thrown as ApiError (../errors.js).
+
+import { ApiError } from '../errors.js';
+import { createFileStore } from './file.js';
+import { createNotionStore } from './notion.js';
+
+const BACKENDS = {
+  notion: createNotionStore,
+  file: createFileStore,
+};
+
+export function getStore() {
+  const backend = process.env.STORAGE_BACKEND || 'notion';
+  const createStore = BACKENDS[backend];
+
+  if (!createStore) {
+    throw new ApiError(500, 'server_config', `Unknown STORAGE_BACKEND '${backend}' (expected ${Object.keys(BACKENDS).join(' or ')})`);
+  }
+
+  return createStore();
+}
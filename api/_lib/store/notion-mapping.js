@@ -0,0 +1,141 @@
+// api/_lib/store/notion-mapping.js
+// Which Notion property holds each resolution field, and as what type
+//
+// NOTION_PROPERTY_MAP  optional overrides, either inline JSON or the path of a
+//                      JSON file. Each app field maps to a property name, or to
+//                      { "property": name, "type": type } when the type differs:
+//                        { "title": "Goal", "current": "Done", "unit": { "property": "Unit", "type": "select" } }
+//                      Fields left out keep the defaults below.
+
+import { readFileSync } from 'node:fs';
+import { ApiError } from '../errors.js';
+
+const plainText = (richText) => (richText || []).map(t => t.plain_text).join('');
+
+// How each supported Notion property type is read and written
+export const PROPERTY_TYPES = {
+  title: {
+    read: (prop) => plainText(prop?.title),
+    write: (value) => ({ title: [{ text: { content: value } }] }),
+  },
+  rich_text: {
+    read: (prop) => plainText(prop?.rich_text),
+    write: (value) => ({ rich_text: [{ text: { content: value } }] }),
+  },
+  select: {
+    read: (prop) => prop?.select?.name,
+    write: (value) => ({ select: { name: value } }),
+  },
+  number: {
+    read: (prop) => prop?.number,
+    write: (value) => ({ number: value }),
+  },
+  date: {
+    read: (prop) => prop?.date?.start,
+    write: (value) => ({ date: { start: value } }),
+  },
+};
+
+const TEXT_TYPES = ['title', 'rich_text', 'select'];
+
+// Property types each app field can be stored as
+const ALLOWED_TYPES = {
+  title: TEXT_TYPES,
+  category: TEXT_TYPES,
+  target: ['number'],
+  current: ['number'],
+  unit: TEXT_TYPES,
+  frequency: TEXT_TYPES,
+  streak: ['number'],
+  lastCheckin: ['date'],
+  step: ['number'],
+};
+
+export const DEFAULT_MAPPING = {
+  title: { property: 'Resolution', type: 'title' },
+  category: { property: 'Category', type: 'select' },
+  target: { property: 'Target', type: 'number' },
+  current: { property: 'Current Progress', type: 'number' },
+  unit: { property: 'Unit', type: 'rich_text' },
+  frequency: { property: 'Frequency', type: 'select' },
+  streak: { property: 'Streak', type: 'number' },
+  lastCheckin: { property: 'Last Check-in', type: 'date' },
+  step: { property: 'Step', type: 'number' },
+};
+
+const configError = (message) => new ApiError(500, 'server_config', `NOTION_PROPERTY_MAP: ${message}`);
+
+const readOverrides = (source) => {
+  if (!source) return {};
+
+  try {
+    const text = source.trim().startsWith('{') ? source : readFileSync(source, 'utf8');
+    return JSON.parse(text);
+  } catch (error) {
+    throw configError(`could not be read (${error.message})`);
+  }
+};
+
+// Merge the overrides into the defaults; throws server_config on unknown
+// fields, unsupported types or two fields sharing one property
+export function loadPropertyMapping(source = process.env.NOTION_PROPERTY_MAP) {
+  const overrides = readOverrides(source);
+  const mapping = { ...DEFAULT_MAPPING };
+
+  for (const [field, value] of Object.entries(overrides)) {
+    if (!ALLOWED_TYPES[field]) {
+      throw configError(`unknown field '${field}' (expected ${Object.keys(ALLOWED_TYPES).join(', ')})`);
+    }
+
+    const entry = typeof value === 'string'
+      ? { property: value, type: DEFAULT_MAPPING[field].type }
+      : { type: DEFAULT_MAPPING[field].type, ...value };
+
+    if (typeof entry.property !== 'string' || !entry.property.trim()) {
+      throw configError(`'${field}' needs a property name`);
+    }
+    if (!ALLOWED_TYPES[field].includes(entry.type)) {
+      throw configError(`'${field}' can't be a ${entry.type} property (use ${ALLOWED_TYPES[field].join(' or ')})`);
+    }
+
+    mapping[field] = entry;
+  }
+
+  const names = Object.values(mapping).map(m => m.property);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) {
+    throw configError(`'${duplicate}' is mapped to more than one field`);
+  }
+
+  return mapping;
+}
+
+// Read every mapped field from a Notion page; missing properties come back undefined
+export function readProperties(page, mapping) {
+  return Object.fromEntries(
+    Object.entries(mapping).map(([field, { property, type }]) => [
+      field,
+      PROPERTY_TYPES[type].read(page.properties[property])
+    ])
+  );
+}
+
+// Build Notion properties for the fields that are present; empty strings are
+// skipped because Notion rejects empty selects and dates
+export function writeProperties(fields, mapping) {
+  const properties = {};
+
+  for (const [field, { property, type }] of Object.entries(mapping)) {
+    const value = fields[field];
+    if (value === undefined || value === null || value === '') continue;
+    properties[property] = PROPERTY_TYPES[type].write(value);
+  }
+
+  return properties;
+}
+
+// Query filter matching one field's value exactly
+export function equalsFilter(field, value, mapping) {
+  const { property, type } = mapping[field];
+  return { property, [type]: { equals: value } };
+}
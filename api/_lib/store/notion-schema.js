@@ -0,0 +1,75 @@
+// api/_lib/store/notion-schema.js
+// Compares Notion databases with the properties the app expects and builds
+// the database update that adds the missing ones
+
+import { CATEGORIES, FREQUENCIES } from '../validation.js';
+
+// Select options created along with a missing select property
+const SELECT_OPTIONS = {
+  category: CATEGORIES,
+  frequency: FREQUENCIES,
+};
+
+// The check-in log database isn't configurable (see DEPLOYMENT.md)
+export const CHECKIN_PROPERTIES = [
+  { field: 'checkin', property: 'Check-in', type: 'title' },
+  { field: 'resolution', property: 'Resolution', type: 'relation' },
+  { field: 'date', property: 'Date', type: 'date' },
+  { field: 'amount', property: 'Amount', type: 'number' },
+  { field: 'progress', property: 'Progress', type: 'number' },
+];
+
+// Nor is the push subscription database
+export const SUBSCRIPTION_PROPERTIES = [
+  { field: 'endpoint', property: 'Endpoint', type: 'title' },
+  { field: 'keys', property: 'Keys', type: 'rich_text' },
+  { field: 'reminderTime', property: 'Reminder Time', type: 'rich_text' },
+  { field: 'timeZone', property: 'Time Zone', type: 'rich_text' },
+  { field: 'lastReminded', property: 'Last Reminded', type: 'date' },
+];
+
+export const resolutionProperties = (mapping) => (
+  Object.entries(mapping).map(([field, { property, type }]) => ({ field, property, type }))
+);
+
+// One entry per expected property with status 'ok', 'missing' or 'wrong_type'
+export function inspectDatabase(database, expected) {
+  return expected.map(({ field, property, type }) => {
+    const actual = database.properties[property]?.type || null;
+    const status = !actual ? 'missing' : actual === type ? 'ok' : 'wrong_type';
+    return { field, property, type, actual, status };
+  });
+}
+
+const propertyDefinition = (field, type, relatedDatabaseId) => {
+  switch (type) {
+    case 'select':
+      return { select: { options: (SELECT_OPTIONS[field] || []).map(name => ({ name })) } };
+    case 'number':
+      return { number: { format: 'number' } };
+    case 'relation':
+      return { relation: { database_id: relatedDatabaseId, single_property: {} } };
+    default:
+      return { [type]: {} };
+  }
+};
+
+// `properties` for PATCH /databases/:id. Mistyped properties are left alone
+// since changing a type can throw away data. A database always has exactly
+// one title property, so a missing title renames the existing one.
+export function missingPropertiesUpdate(database, report, relatedDatabaseId) {
+  const properties = {};
+
+  for (const { field, property, type, status } of report) {
+    if (status !== 'missing') continue;
+
+    if (type === 'title') {
+      const [currentTitle] = Object.entries(database.properties).find(([, p]) => p.type === 'title');
+      properties[currentTitle] = { name: property };
+    } else {
+      properties[property] = propertyDefinition(field, type, relatedDatabaseId);
+    }
+  }
+
+  return properties;
+}
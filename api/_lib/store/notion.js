@@ -0,0 +1,358 @@
+// api/_lib/store/notion.js
+// Storage backend that keeps resolutions in a Notion database
+//
+// NOTION_API_KEY               integration token
+// NOTION_DATABASE_ID           resolutions database
+// NOTION_CHECKINS_DATABASE_ID  optional check-in log database (see DEPLOYMENT.md)
+// NOTION_PUSH_DATABASE_ID      optional push subscription database, for reminders
+// NOTION_PROPERTY_MAP          optional property names/types (see notion-mapping.js)
+// NOTION_API_BASE_URL          optional, e.g. the fake server in dev/fake-notion.js
+
+import { ApiError, notionError } from '../errors.js';
+import { loadPropertyMapping, readProperties, writeProperties, equalsFilter } from './notion-mapping.js';
+import { CHECKIN_PROPERTIES, SUBSCRIPTION_PROPERTIES, resolutionProperties, inspectDatabase, missingPropertiesUpdate } from './notion-schema.js';
+
+const NOTION_API = 'https://api.notion.com/v1';
+
+// Transform a Notion page to our app format
+// `lastEdited` is the page version clients send back as `baseVersion`
+const toResolution = (page, mapping) => {
+  const fields = readProperties(page, mapping);
+  return {
+    id: page.id,
+    notionPageId: page.id,
+    title: fields.title || 'Untitled',
+    category: fields.category || 'Personal Growth',
+    target: fields.target || 0,
+    current: fields.current || 0,
+    unit: fields.unit || 'times',
+    frequency: fields.frequency || 'weekly',
+    streak: fields.streak || 0,
+    lastCheckin: fields.lastCheckin || '',
+    step: fields.step || null,
+    lastEdited: page.last_edited_time,
+    archived: page.archived || false,
+  };
+};
+
+const plainText = (prop) => (prop?.[prop.type] || []).map(t => t.plain_text).join('');
+const richText = (content) => ({ rich_text: [{ text: { content } }] });
+
+// Push subscriptions keep their keys as JSON in one text property
+const toSubscription = (page) => {
+  const { properties } = page;
+  let keys = {};
+  try {
+    keys = JSON.parse(plainText(properties['Keys']));
+  } catch {
+    // Left empty; sending to it fails and the next subscribe rewrites it
+  }
+  return {
+    endpoint: plainText(properties['Endpoint']),
+    keys,
+    reminderTime: plainText(properties['Reminder Time']),
+    timeZone: plainText(properties['Time Zone']),
+    lastReminded: properties['Last Reminded']?.date?.start || '',
+  };
+};
+
+const subscriptionProperties = ({ endpoint, keys, reminderTime, timeZone, lastReminded }) => {
+  const properties = {};
+  if (endpoint !== undefined) properties['Endpoint'] = { title: [{ text: { content: endpoint } }] };
+  if (keys !== undefined) properties['Keys'] = richText(JSON.stringify(keys));
+  if (reminderTime !== undefined) properties['Reminder Time'] = richText(reminderTime);
+  if (timeZone !== undefined) properties['Time Zone'] = richText(timeZone);
+  if (lastReminded !== undefined) properties['Last Reminded'] = { date: lastReminded ? { start: lastReminded } : null };
+  return properties;
+};
+
+// Notion returns at most 100 rows per query. Keep paging until this budget is
+// spent so the function finishes inside Vercel's 10s maxDuration (vercel.json);
+// whatever is left is handed back as a cursor for the client to continue from.
+const QUERY_TIME_BUDGET_MS = 7000;
+
+// Optional server-side filters from the query string
+const buildQueryFilter = ({ category, frequency }, mapping) => {
+  const filters = [];
+  if (category) filters.push(equalsFilter('category', category, mapping));
+  if (frequency) filters.push(equalsFilter('frequency', frequency, mapping));
+
+  if (filters.length === 0) return undefined;
+  return filters.length === 1 ? filters[0] : { and: filters };
+};
+
+// Database queries never return archived (trashed) pages, so asking for them
+// is an error rather than a list that always comes back empty
+const requireUnarchived = (archived = 'false') => {
+  if (archived === 'false') return;
+  throw new ApiError(400, 'validation_error', '1 field failed validation', {
+    fields: { archived: "The Notion backend can't list archived pages; find them in the Notion trash" },
+  });
+};
+
+export function createNotionStore({
+  apiKey = process.env.NOTION_API_KEY,
+  databaseId = process.env.NOTION_DATABASE_ID,
+  checkinsDatabaseId = process.env.NOTION_CHECKINS_DATABASE_ID,
+  pushDatabaseId = process.env.NOTION_PUSH_DATABASE_ID,
+  mapping = loadPropertyMapping(),
+  baseUrl = process.env.NOTION_API_BASE_URL || NOTION_API,
+} = {}) {
+  if (!apiKey || !databaseId) {
+    throw new ApiError(500, 'server_config', 'Notion API key or Database ID not configured');
+  }
+
+  const headers = {
+    'Authorization': `Bearer ${apiKey}`,
+    'Notion-Version': '2022-06-28',
+    'Content-Type': 'application/json',
+  };
+
+  const request = async (path, options, action) => {
+    const response = await fetch(`${baseUrl}${path}`, { headers, ...options });
+    if (!response.ok) {
+      throw await notionError(response, action);
+    }
+    return response.json();
+  };
+
+  const requirePushDatabase = () => {
+    if (!pushDatabaseId) {
+      throw new ApiError(500, 'server_config', 'Notion push subscription Database ID not configured');
+    }
+  };
+
+  const querySubscriptions = async (filter) => {
+    requirePushDatabase();
+    const pages = [];
+    let cursor;
+    do {
+      const data = await request(`/databases/${pushDatabaseId}/query`, {
+        method: 'POST',
+        body: JSON.stringify({ filter, page_size: 100, start_cursor: cursor })
+      }, 'fetch push subscriptions from Notion');
+      pages.push(...data.results);
+      cursor = data.has_more ? data.next_cursor : undefined;
+    } while (cursor);
+    return pages;
+  };
+
+  const findSubscriptionPage = async (endpoint) => {
+    const [page] = await querySubscriptions({ property: 'Endpoint', title: { equals: endpoint } });
+    return page || null;
+  };
+
+  return {
+    name: 'notion',
+
+    async list({ category, frequency, archived, cursor } = {}) {
+      requireUnarchived(archived);
+      const filter = buildQueryFilter({ category, frequency }, mapping);
+      const startedAt = Date.now();
+      const pages = [];
+      let nextCursor = cursor || undefined;
+
+      do {
+        const data = await request(`/databases/${databaseId}/query`, {
+          method: 'POST',
+          body: JSON.stringify({
+            filter,
+            sorts: [
+              { property: mapping.category.property, direction: 'ascending' },
+              { property: mapping.title.property, direction: 'ascending' }
+            ],
+            page_size: 100,
+            start_cursor: nextCursor
+          })
+        }, 'fetch from Notion');
+
+        pages.push(...data.results);
+        nextCursor = data.has_more ? data.next_cursor : undefined;
+      } while (nextCursor && Date.now() - startedAt < QUERY_TIME_BUDGET_MS);
+
+      return {
+        resolutions: pages.map(page => toResolution(page, mapping)),
+        nextCursor,
+      };
+    },
+
+    // Returns null when the page can't be read, so callers can treat it as unknown
+    async get(id) {
+      const response = await fetch(`${baseUrl}/pages/${id}`, { headers });
+      return response.ok ? toResolution(await response.json(), mapping) : null;
+    },
+
+    async create(fields) {
+      const page = await request('/pages', {
+        method: 'POST',
+        body: JSON.stringify({
+          parent: { database_id: databaseId },
+          properties: writeProperties(fields, mapping)
+        })
+      }, 'create in Notion');
+      return toResolution(page, mapping);
+    },
+
+    async update(id, updates) {
+      const page = await request(`/pages/${id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ properties: writeProperties(updates, mapping) })
+      }, 'update in Notion');
+      return toResolution(page, mapping);
+    },
+
+    // Notion doesn't truly delete; archived pages can be restored from the trash
+    async archive(id) {
+      await request(`/pages/${id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ archived: true })
+      }, 'archive in Notion');
+    },
+
+    // The log is optional; without it check-ins only update the resolution page
+    async logCheckin({ resolutionId, date, amount, progress }) {
+      if (!checkinsDatabaseId) {
+        return null;
+      }
+
+      try {
+        const page = await request('/pages', {
+          method: 'POST',
+          body: JSON.stringify({
+            parent: { database_id: checkinsDatabaseId },
+            properties: {
+              'Check-in': {
+                title: [{ text: { content: `${amount > 0 ? '+' : ''}${amount} on ${date}` } }]
+              },
+              'Resolution': {
+                relation: [{ id: resolutionId }]
+              },
+              'Date': {
+                date: { start: date }
+              },
+              'Amount': {
+                number: amount
+              },
+              'Progress': {
+                number: progress ?? null
+              },
+            }
+          })
+        }, 'log check-in in Notion');
+        return { id: page.id, date, amount, progress: progress ?? null };
+      } catch {
+        // Already logged by notionError; a missing log row shouldn't fail the update
+        return null;
+      }
+    },
+
+    // Check-in history for one resolution (every resolution when null), newest
+    // first, from `since` on when given
+    async listCheckins(resolutionId, { since } = {}) {
+      if (!checkinsDatabaseId) {
+        throw new ApiError(500, 'server_config', 'Notion check-in Database ID not configured');
+      }
+
+      const filters = [
+        resolutionId && { property: 'Resolution', relation: { contains: resolutionId } },
+        since && { property: 'Date', date: { on_or_after: since } },
+      ].filter(Boolean);
+
+      // The charts need the whole log, so keep paging past Notion's 100 rows
+      const pages = [];
+      let cursor;
+      do {
+        const data = await request(`/databases/${checkinsDatabaseId}/query`, {
+          method: 'POST',
+          body: JSON.stringify({
+            filter: filters.length > 1 ? { and: filters } : filters[0],
+            sorts: [{ property: 'Date', direction: 'descending' }],
+            page_size: 100,
+            start_cursor: cursor
+          })
+        }, 'fetch check-ins from Notion');
+        pages.push(...data.results);
+        cursor = data.has_more ? data.next_cursor : undefined;
+      } while (cursor);
+
+      return pages.map(page => ({
+        id: page.id,
+        resolutionId: page.properties['Resolution']?.relation?.[0]?.id || null,
+        date: page.properties['Date']?.date?.start || '',
+        amount: page.properties['Amount']?.number || 0,
+        progress: page.properties['Progress']?.number ?? null,
+      }));
+    },
+
+    async listSubscriptions() {
+      return (await querySubscriptions()).map(toSubscription);
+    },
+
+    // One page per endpoint; saving an existing one updates it
+    async saveSubscription(subscription) {
+      const existing = await findSubscriptionPage(subscription.endpoint);
+      const page = existing
+        ? await request(`/pages/${existing.id}`, {
+          method: 'PATCH',
+          body: JSON.stringify({ properties: subscriptionProperties(subscription) })
+        }, 'update push subscription in Notion')
+        : await request('/pages', {
+          method: 'POST',
+          body: JSON.stringify({
+            parent: { database_id: pushDatabaseId },
+            properties: subscriptionProperties(subscription)
+          })
+        }, 'save push subscription in Notion');
+      return toSubscription(page);
+    },
+
+    async deleteSubscription(endpoint) {
+      const page = await findSubscriptionPage(endpoint);
+      if (page) {
+        await request(`/pages/${page.id}`, {
+          method: 'PATCH',
+          body: JSON.stringify({ archived: true })
+        }, 'delete push subscription in Notion');
+      }
+    },
+
+    // Report missing or mistyped properties in the resolutions database (and
+    // the check-in log and push subscriptions, when configured); `provision`
+    // adds the missing ones
+    async checkSchema({ provision = false } = {}) {
+      const targets = [{ name: 'resolutions', id: databaseId, expected: resolutionProperties(mapping) }];
+      if (checkinsDatabaseId) {
+        targets.push({ name: 'checkins', id: checkinsDatabaseId, expected: CHECKIN_PROPERTIES, relatedDatabaseId: databaseId });
+      }
+      if (pushDatabaseId) {
+        targets.push({ name: 'subscriptions', id: pushDatabaseId, expected: SUBSCRIPTION_PROPERTIES });
+      }
+
+      const databases = [];
+      for (const target of targets) {
+        let database = await request(`/databases/${target.id}`, {}, `read the ${target.name} database`);
+        let properties = inspectDatabase(database, target.expected);
+        const missing = properties.filter(p => p.status === 'missing').map(p => p.property);
+
+        if (provision && missing.length > 0) {
+          database = await request(`/databases/${target.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ properties: missingPropertiesUpdate(database, properties, target.relatedDatabaseId) })
+          }, `add properties to the ${target.name} database`);
+          properties = inspectDatabase(database, target.expected);
+        }
+
+        databases.push({
+          name: target.name,
+          id: target.id,
+          title: (database.title || []).map(t => t.plain_text).join(''),
+          ok: properties.every(p => p.status === 'ok'),
+          properties,
+          created: provision ? missing : [],
+        });
+      }
+
+      return { backend: 'notion', ok: databases.every(d => d.ok), databases };
+    },
+  };
+}
@@ -0,0 +1,185 @@
+// api/_lib/validation.js
+// Request body checks for the Notion routes. Each validator returns an object
+// of field -> message; an empty object means the input is valid.
+
+import { isTimeZone } from './dates.js';
+
+export const CATEGORIES = ['Personal Growth', 'Health', 'Finance', 'Wellness', 'Career', 'Relationships'];
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+
+export const isDateKey = (value) => (
+  typeof value === 'string' &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+);
+
+// Rules for each resolution field the API accepts
+const RESOLUTION_FIELDS = {
+  // Notion caps rich text at 2000 characters
+  title: (v) => isText(v, 2000) || 'Must be a non-empty string of at most 2000 characters',
+  category: (v) => CATEGORIES.includes(v) || `Must be one of: ${CATEGORIES.join(', ')}`,
+  target: (v) => (isNumber(v) && v > 0) || 'Must be a number greater than 0',
+  current: (v) => (isNumber(v) && v >= 0) || 'Must be a number of at least 0',
+  unit: (v) => isText(v, 100) || 'Must be a non-empty string of at most 100 characters',
+  frequency: (v) => FREQUENCIES.includes(v) || `Must be one of: ${FREQUENCIES.join(', ')}`,
+  streak: (v) => (Number.isInteger(v) && v >= 0) || 'Must be a whole number of at least 0',
+  lastCheckin: (v) => v === '' || isDateKey(v) || 'Must be a date formatted YYYY-MM-DD',
+  step: (v) => (isNumber(v) && v > 0) || 'Must be a number greater than 0',
+};
+
+const checkFields = (input, names) => {
+  const errors = {};
+  for (const name of names) {
+    if (input[name] === undefined) continue;
+    const result = RESOLUTION_FIELDS[name](input[name]);
+    if (result !== true) errors[name] = result;
+  }
+  return errors;
+};
+
+// Non-object bodies (missing or malformed JSON) are reported as `body`
+const checkBody = (body) => (isObject(body) ? null : { body: 'Request body must be a JSON object' });
+
+const checkPageId = (pageId) => (
+  typeof pageId === 'string' && pageId.trim() ? {} : { pageId: 'pageId is required' }
+);
+
+// POST: title is required, everything else falls back to defaults.
+// Clients send their whole local record, so unknown keys are ignored.
+export function validateCreate(body) {
+  const bodyError = checkBody(body);
+  if (bodyError) return bodyError;
+
+  const errors = checkFields(body, Object.keys(RESOLUTION_FIELDS));
+  if (body.title === undefined) errors.title = 'title is required';
+  return errors;
+}
+
+// PATCH: { pageId, updates, checkin?, baseVersion? } with at least one known field in `updates`
+export function validateUpdate(body) {
+  const bodyError = checkBody(body);
+  if (bodyError) return bodyError;
+
+  const errors = checkPageId(body.pageId);
+  const { updates, checkin, baseVersion } = body;
+
+  if (!isObject(updates)) {
+    errors.updates = 'updates must be an object';
+  } else {
+    const known = Object.keys(updates).filter(name => name in RESOLUTION_FIELDS);
+    if (known.length === 0) {
+      errors.updates = `updates must include at least one of: ${Object.keys(RESOLUTION_FIELDS).join(', ')}`;
+    }
+    for (const [name, message] of Object.entries(checkFields(updates, known))) {
+      errors[`updates.${name}`] = message;
+    }
+  }
+
+  if (checkin !== undefined && checkin !== null) {
+    if (!isObject(checkin) || !isNumber(checkin.amount)) {
+      errors['checkin.amount'] = 'Must be a number';
+    }
+    if (isObject(checkin) && checkin.date !== undefined && !isDateKey(checkin.date)) {
+      errors['checkin.date'] = 'Must be a date formatted YYYY-MM-DD';
+    }
+  }
+
+  if (baseVersion !== undefined && baseVersion !== null && typeof baseVersion !== 'string') {
+    errors.baseVersion = 'Must be a timestamp string';
+  }
+
+  return errors;
+}
+
+// DELETE: { pageId }
+export function validateDelete(body) {
+  return checkBody(body) || checkPageId(body.pageId);
+}
+
+// X-Time-Zone header: optional, but must name an IANA zone when sent
+export function validateTimeZone(timeZone) {
+  return timeZone === undefined || isTimeZone(timeZone)
+    ? {}
+    : { timeZone: 'X-Time-Zone must be an IANA time zone such as America/New_York' };
+}
+
+// GET query string filters
+export function validateListQuery(query = {}) {
+  const errors = {};
+  if (query.category !== undefined && !CATEGORIES.includes(query.category)) {
+    errors.category = `Must be one of: ${CATEGORIES.join(', ')}`;
+  }
+  if (query.frequency !== undefined && !FREQUENCIES.includes(query.frequency)) {
+    errors.frequency = `Must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+  if (query.archived !== undefined && !['true', 'false', 'all'].includes(query.archived)) {
+    errors.archived = "Must be 'true', 'false' or 'all'";
+  }
+  return errors;
+}
+
+// GET check-ins: one resolution's log, or everyone's from a date on
+export function validateCheckinQuery(query = {}) {
+  const { pageId, since } = query;
+  if (since !== undefined) {
+    return isDateKey(since) ? {} : { since: 'Must be a date formatted YYYY-MM-DD' };
+  }
+  return pageId ? {} : { pageId: 'pageId is required' };
+}
+
+const isHttpsUrl = (value) => {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+// Length in bytes of a base64url string, or 0 when it isn't one
+const base64urlBytes = (value) => (
+  typeof value === 'string' && /^[A-Za-z0-9_-]+={0,2}$/.test(value) ? Buffer.from(value, 'base64url').length : 0
+);
+
+const checkEndpoint = (endpoint) => (
+  isHttpsUrl(endpoint) ? {} : { endpoint: 'endpoint must be an https URL' }
+);
+
+// POST /api/push/subscriptions: { subscription, reminderTime, timeZone }, where
+// `subscription` is the browser's PushSubscription.toJSON()
+export function validateSubscription(body) {
+  const bodyError = checkBody(body);
+  if (bodyError) return bodyError;
+
+  const { subscription, reminderTime, timeZone } = body;
+  if (!isObject(subscription)) {
+    return { subscription: 'subscription must be an object' };
+  }
+
+  const errors = {};
+  if (!isHttpsUrl(subscription.endpoint)) {
+    errors['subscription.endpoint'] = 'Must be an https URL';
+  }
+  // An uncompressed P-256 public key and a 16-byte secret
+  if (base64urlBytes(subscription.keys?.p256dh) !== 65) {
+    errors['subscription.keys.p256dh'] = 'Must be a base64url P-256 public key';
+  }
+  if (base64urlBytes(subscription.keys?.auth) !== 16) {
+    errors['subscription.keys.auth'] = 'Must be a base64url 16-byte secret';
+  }
+  if (typeof reminderTime !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(reminderTime)) {
+    errors.reminderTime = 'Must be a time formatted HH:MM';
+  }
+  if (!isTimeZone(timeZone)) {
+    errors.timeZone = 'Must be an IANA time zone such as America/New_York';
+  }
+  return errors;
+}
+
+// DELETE /api/push/subscriptions: { endpoint }
+export function validateUnsubscribe(body) {
+  return checkBody(body) || checkEndpoint(body.endpoint);
+}
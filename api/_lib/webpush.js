@@ -0,0 +1,108 @@
+// api/_lib/webpush.js
+// Sends Web Push messages with node:crypto alone: VAPID identifies the server
+// to the push service (RFC 8292) and the payload is encrypted for the
+// subscribed browser (aes128gcm, RFC 8291)
+//
+// VAPID_PUBLIC_KEY   key the browser subscribes with (base64url, uncompressed P-256 point)
+// VAPID_PRIVATE_KEY  its private half (base64url)
+// VAPID_SUBJECT      contact address for push services, e.g. mailto:you@example.com
+//
+// `npm run vapid-keys` prints a fresh key pair.
+
+import { createCipheriv, createECDH, createPrivateKey, generateKeyPairSync, hkdfSync, randomBytes, sign } from 'node:crypto';
+import { ApiError } from './errors.js';
+
+// One record holds the whole payload; push services accept at most 4096 bytes
+const RECORD_SIZE = 4096;
+
+// Push services reject VAPID tokens that are valid for more than 24 hours
+const TOKEN_LIFETIME_S = 12 * 60 * 60;
+
+// Reminders older than this are stale; the push service may drop them
+const DEFAULT_TTL_S = 4 * 60 * 60;
+
+const base64url = (data) => Buffer.from(data).toString('base64url');
+
+export function loadVapidKeys() {
+  const { VAPID_PUBLIC_KEY: publicKey, VAPID_PRIVATE_KEY: privateKey, VAPID_SUBJECT: subject } = process.env;
+  if (!publicKey || !privateKey || !subject) {
+    throw new ApiError(500, 'server_config', 'VAPID keys not configured');
+  }
+  return { publicKey, privateKey, subject };
+}
+
+export function generateVapidKeys() {
+  const { publicKey, privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const { x, y } = publicKey.export({ format: 'jwk' });
+  return {
+    publicKey: base64url(Buffer.concat([Buffer.from([4]), Buffer.from(x, 'base64url'), Buffer.from(y, 'base64url')])),
+    privateKey: privateKey.export({ format: 'jwk' }).d,
+  };
+}
+
+// Authorization header for the push service at `endpoint`: a JWT for its
+// origin, signed (ES256) with the VAPID private key
+export function vapidAuthorization(endpoint, { publicKey, privateKey, subject }, now = Date.now()) {
+  const point = Buffer.from(publicKey, 'base64url');
+  const key = createPrivateKey({
+    format: 'jwk',
+    key: { kty: 'EC', crv: 'P-256', d: privateKey, x: base64url(point.subarray(1, 33)), y: base64url(point.subarray(33, 65)) },
+  });
+
+  const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = base64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + TOKEN_LIFETIME_S,
+    sub: subject,
+  }));
+  const signature = sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+
+  return `vapid t=${header}.${claims}.${base64url(signature)}, k=${publicKey}`;
+}
+
+const hkdf = (ikm, salt, info, length) => Buffer.from(hkdfSync('sha256', ikm, salt, info, length));
+
+// Encrypt `payload` (a string) for a subscription's `keys` ({ p256dh, auth }).
+// Every message gets its own key pair and salt; both travel in the header.
+export function encryptPayload(payload, { p256dh, auth }) {
+  const clientPublicKey = Buffer.from(p256dh, 'base64url');
+  const ecdh = createECDH('prime256v1');
+  const serverPublicKey = ecdh.generateKeys();
+  const salt = randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublicKey, serverPublicKey]);
+  const ikm = hkdf(ecdh.computeSecret(clientPublicKey), Buffer.from(auth, 'base64url'), keyInfo, 32);
+  const contentKey = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  // The 0x02 delimiter marks the last (and only) record
+  const cipher = createCipheriv('aes-128-gcm', contentKey, nonce);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(`${payload}\x02`)), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublicKey.length, 20);
+  return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+// Deliver `message` (JSON-serializable) to one subscription. Resolves with
+// { ok, gone }: `gone` means the browser unsubscribed and the subscription
+// should be forgotten. Network failures reject.
+export async function sendPush(subscription, message, vapid, { ttl = DEFAULT_TTL_S } = {}) {
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      'Authorization': vapidAuthorization(subscription.endpoint, vapid),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      'TTL': String(ttl),
+    },
+    body: encryptPayload(JSON.stringify(message), subscription.keys),
+  });
+
+  if (!response.ok) {
+    console.error(`Push service refused a message (${response.status}):`, await response.text().catch(() => ''));
+  }
+  return { ok: response.ok, gone: response.status === 404 || response.status === 410 };
+}
@@ -0,0 +1,47 @@
+// api/notion/checkins.js
+// Vercel Serverless Function for the check-in history log
+// Every progress change is logged by the storage backend (with Notion, as a
+// row in NOTION_CHECKINS_DATABASE_ID related back to the resolution page).
+
+import { applyCors, requireAuth } from '../_lib/auth.js';
+import { sendError, sendValidationError, sendCaughtError } from '../_lib/errors.js';
+import { getStore } from '../_lib/store/index.js';
+import { validateCheckinQuery } from '../_lib/validation.js';
+
+export default async function handler(req, res) {
+  // CORS headers (allowlisted origins only)
+  applyCors(req, res, 'GET, OPTIONS');
+
+  // Handle preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Everything past the preflight needs the shared access token
+  if (!requireAuth(req, res)) {
+    return;
+  }
+
+  try {
+    const store = getStore();
+
+    // GET - Fetch the check-in history, newest first: one resolution's (?pageId=),
+    // or every resolution's from a date on (?since=YYYY-MM-DD) for the heatmap
+    if (req.method === 'GET') {
+      const { pageId, since } = req.query || {};
+
+      const queryErrors = validateCheckinQuery({ pageId, since });
+      if (Object.keys(queryErrors).length > 0) {
+        return sendValidationError(res, queryErrors);
+      }
+
+      return res.status(200).json(await store.listCheckins(pageId || null, { since }));
+    }
+
+    // Method not allowed
+    return sendError(res, 405, 'method_not_allowed', `Method ${req.method} not allowed`);
+
+  } catch (error) {
+    return sendCaughtError(res, error);
+  }
+}
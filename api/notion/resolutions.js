@@ -1,255 +1,144 @@
 // api/notion/resolutions.js
-// Vercel Serverless Function for Notion API integration
-// This file handles CORS and proxies requests to Notion
+// Vercel Serverless Function for the resolutions API
+// This file handles CORS, auth and validation; the data lives in whichever
+// storage backend STORAGE_BACKEND selects (Notion by default, see api/_lib/store)
 
-const NOTION_API = 'https://api.notion.com/v1';
+import { applyCors, requireAuth } from '../_lib/auth.js';
+import { sendError, sendValidationError, sendCaughtError } from '../_lib/errors.js';
+import { getStore } from '../_lib/store/index.js';
+import { validateCreate, validateUpdate, validateDelete, validateListQuery, validateTimeZone } from '../_lib/validation.js';
+import { dateKeyIn } from '../_lib/dates.js';
 
 export default async function handler(req, res) {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  // CORS headers (allowlisted origins only)
+  applyCors(req, res, 'GET, POST, PATCH, DELETE, OPTIONS');
 
   // Handle preflight request
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
-  // Check for required environment variables
-  const NOTION_API_KEY = process.env.NOTION_API_KEY;
-  const NOTION_DATABASE_ID = process.env.NOTION_DATABASE_ID;
-
-  if (!NOTION_API_KEY || !NOTION_DATABASE_ID) {
-    return res.status(500).json({ 
-      error: 'Server configuration error',
-      message: 'Notion API key or Database ID not configured'
-    });
+  // Everything past the preflight needs the shared access token
+  if (!requireAuth(req, res)) {
+    return;
   }
 
-  const headers = {
-    'Authorization': `Bearer ${NOTION_API_KEY}`,
-    'Notion-Version': '2022-06-28',
-    'Content-Type': 'application/json',
-  };
-
   try {
-    // GET - Fetch all resolutions from Notion database
+    // Throws server_config when the backend's environment variables are missing
+    const store = getStore();
+
+    // GET - Fetch all resolutions
+    // Query params: category, frequency, archived ('true' | 'false' | 'all'), cursor
     if (req.method === 'GET') {
-      const response = await fetch(
-        `${NOTION_API}/databases/${NOTION_DATABASE_ID}/query`,
-        {
-          method: 'POST',
-          headers,
-          body: JSON.stringify({
-            sorts: [
-              { property: 'Category', direction: 'ascending' },
-              { property: 'Resolution', direction: 'ascending' }
-            ]
-          })
-        }
-      );
+      const { category, frequency, archived, cursor } = req.query || {};
 
-      if (!response.ok) {
-        const error = await response.json();
-        console.error('Notion API error:', error);
-        return res.status(response.status).json({ error: 'Failed to fetch from Notion', details: error });
+      const queryErrors = validateListQuery({ category, frequency, archived });
+      if (Object.keys(queryErrors).length > 0) {
+        return sendValidationError(res, queryErrors);
       }
 
-      const data = await response.json();
-
-      // Transform Notion data to our app format
-      const resolutions = data.results.map(page => ({
-        id: page.id,
-        notionPageId: page.id,
-        title: page.properties['Resolution']?.title?.[0]?.plain_text || 'Untitled',
-        category: page.properties['Category']?.select?.name || 'Personal Growth',
-        target: page.properties['Target']?.number || 0,
-        current: page.properties['Current Progress']?.number || 0,
-        unit: page.properties['Unit']?.rich_text?.[0]?.plain_text || 'times',
-        frequency: page.properties['Frequency']?.select?.name || 'weekly',
-        streak: page.properties['Streak']?.number || 0,
-        lastCheckin: page.properties['Last Check-in']?.date?.start || '',
-      }));
+      const { resolutions, nextCursor } = await store.list({ category, frequency, archived, cursor });
+
+      // Out of time with rows left: the client picks up from here with ?cursor=
+      if (nextCursor) {
+        res.setHeader('X-Next-Cursor', nextCursor);
+      }
 
       return res.status(200).json(resolutions);
     }
 
     // PATCH - Update a resolution
+    // A check-in without a date is logged on today's date in X-Time-Zone (UTC if not sent)
     if (req.method === 'PATCH') {
-      const { pageId, updates } = req.body;
-
-      if (!pageId) {
-        return res.status(400).json({ error: 'pageId is required' });
-      }
-
-      // Build properties object based on what's being updated
-      const properties = {};
-
-      if (updates.current !== undefined) {
-        properties['Current Progress'] = { number: updates.current };
+      const timeZone = req.headers?.['x-time-zone'];
+      const errors = { ...validateUpdate(req.body), ...validateTimeZone(timeZone) };
+      if (Object.keys(errors).length > 0) {
+        return sendValidationError(res, errors);
       }
 
-      if (updates.lastCheckin) {
-        properties['Last Check-in'] = { 
-          date: { start: updates.lastCheckin } 
-        };
-      }
-
-      if (updates.streak !== undefined) {
-        properties['Streak'] = { number: updates.streak };
-      }
-
-      if (updates.title) {
-        properties['Resolution'] = { 
-          title: [{ text: { content: updates.title } }] 
-        };
-      }
-
-      if (updates.category) {
-        properties['Category'] = {
-          select: { name: updates.category }
-        };
-      }
-
-      if (updates.target !== undefined) {
-        properties['Target'] = { number: updates.target };
-      }
+      const { pageId, updates, checkin, baseVersion } = req.body;
 
-      if (updates.unit) {
-        properties['Unit'] = {
-          rich_text: [{ text: { content: updates.unit } }]
-        };
+      // Queued offline edits carry the version they were made against; refuse
+      // to apply them over a resolution that has been edited since (in Notion or by a Zap).
+      // Notion reports last_edited_time to the minute, so this is best effort.
+      if (baseVersion) {
+        const remote = await store.get(pageId);
+        if (remote && remote.lastEdited !== baseVersion) {
+          return sendError(res, 409, 'conflict', 'Resolution was changed after this update was made', { remote });
+        }
       }
 
-      if (updates.frequency) {
-        properties['Frequency'] = {
-          select: { name: updates.frequency }
-        };
-      }
+      const resolution = await store.update(pageId, updates);
 
-      const response = await fetch(`${NOTION_API}/pages/${pageId}`, {
-        method: 'PATCH',
-        headers,
-        body: JSON.stringify({ properties })
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        console.error('Notion update error:', error);
-        return res.status(response.status).json({ error: 'Failed to update in Notion', details: error });
+      // Append to the check-in log when this update records progress
+      let checkinLogged = false;
+      if (checkin?.amount) {
+        const entry = await store.logCheckin({
+          resolutionId: pageId,
+          date: checkin.date || updates.lastCheckin || dateKeyIn(new Date(), timeZone),
+          amount: checkin.amount,
+          progress: updates.current
+        });
+        checkinLogged = Boolean(entry);
       }
 
-      const data = await response.json();
-      return res.status(200).json({ 
-        success: true, 
-        id: data.id,
-        message: 'Resolution updated successfully' 
+      return res.status(200).json({
+        success: true,
+        id: resolution.id,
+        lastEdited: resolution.lastEdited,
+        checkinLogged,
+        message: 'Resolution updated successfully'
       });
     }
 
     // POST - Create a new resolution
     if (req.method === 'POST') {
-      const { title, category, target, current, unit, frequency, streak, lastCheckin } = req.body;
-
-      if (!title) {
-        return res.status(400).json({ error: 'title is required' });
-      }
-
-      const properties = {
-        'Resolution': {
-          title: [{ text: { content: title } }]
-        },
-        'Category': {
-          select: { name: category || 'Personal Growth' }
-        },
-        'Target': {
-          number: target || 0
-        },
-        'Current Progress': {
-          number: current || 0
-        },
-        'Unit': {
-          rich_text: [{ text: { content: unit || 'times' } }]
-        },
-        'Frequency': {
-          select: { name: frequency || 'weekly' }
-        },
-        'Streak': {
-          number: streak || 0
-        },
-      };
-
-      // Only add date if provided
-      if (lastCheckin) {
-        properties['Last Check-in'] = { 
-          date: { start: lastCheckin } 
-        };
-      }
-
-      console.log('Creating page with properties:', JSON.stringify(properties, null, 2));
-
-      const response = await fetch(`${NOTION_API}/pages`, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify({
-          parent: { database_id: NOTION_DATABASE_ID },
-          properties
-        })
+      const errors = validateCreate(req.body);
+      if (Object.keys(errors).length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const { title, category, target, current, unit, frequency, streak, lastCheckin, step } = req.body;
+
+      const resolution = await store.create({
+        title,
+        category: category || 'Personal Growth',
+        target: target || 0,
+        current: current || 0,
+        unit: unit || 'times',
+        frequency: frequency || 'weekly',
+        streak: streak || 0,
+        lastCheckin: lastCheckin || undefined,
+        step,
       });
 
-      if (!response.ok) {
-        const error = await response.json();
-        console.error('Notion create error:', error);
-        console.error('Sent properties:', properties);
-        return res.status(response.status).json({
-          error: 'Failed to create in Notion',
-          details: error,
-          sentData: { title, category, target, unit, frequency }
-        });
-      }
-
-      const data = await response.json();
-      return res.status(201).json({ 
-        success: true, 
-        id: data.id,
-        message: 'Resolution created successfully' 
+      return res.status(201).json({
+        success: true,
+        id: resolution.id,
+        lastEdited: resolution.lastEdited,
+        message: 'Resolution created successfully'
       });
     }
 
-    // DELETE - Archive a resolution (Notion doesn't truly delete)
+    // DELETE - Archive a resolution (nothing is truly deleted)
     if (req.method === 'DELETE') {
-      const { pageId } = req.body;
-
-      if (!pageId) {
-        return res.status(400).json({ error: 'pageId is required' });
+      const errors = validateDelete(req.body);
+      if (Object.keys(errors).length > 0) {
+        return sendValidationError(res, errors);
       }
 
-      const response = await fetch(`${NOTION_API}/pages/${pageId}`, {
-        method: 'PATCH',
-        headers,
-        body: JSON.stringify({ archived: true })
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        console.error('Notion archive error:', error);
-        return res.status(response.status).json({ error: 'Failed to archive in Notion', details: error });
-      }
+      await store.archive(req.body.pageId);
 
-      return res.status(200).json({ 
-        success: true, 
-        message: 'Resolution archived successfully' 
+      return res.status(200).json({
+        success: true,
+        message: 'Resolution archived successfully'
       });
     }
 
     // Method not allowed
-    return res.status(405).json({ error: 'Method not allowed' });
+    return sendError(res, 405, 'method_not_allowed', `Method ${req.method} not allowed`);
 
   } catch (error) {
-    console.error('Server error:', error);
-    return res.status(500).json({ 
-      error: 'Internal server error', 
-      message: error.message 
-    });
+    return sendCaughtError(res, error);
   }
 }
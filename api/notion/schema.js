@@ -0,0 +1,43 @@
+// api/notion/schema.js
+// Vercel Serverless Function that checks the database setup
+// GET reports missing or mistyped properties; POST also creates the missing
+// ones (with the category and frequency select options)
+
+import { applyCors, requireAuth } from '../_lib/auth.js';
+import { sendError, sendCaughtError } from '../_lib/errors.js';
+import { getStore } from '../_lib/store/index.js';
+
+export default async function handler(req, res) {
+  // CORS headers (allowlisted origins only)
+  applyCors(req, res, 'GET, POST, OPTIONS');
+
+  // Handle preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Everything past the preflight needs the shared access token
+  if (!requireAuth(req, res)) {
+    return;
+  }
+
+  try {
+    const store = getStore();
+
+    // GET - Check the schema without changing anything
+    if (req.method === 'GET') {
+      return res.status(200).json(await store.checkSchema());
+    }
+
+    // POST - Add whatever is missing, then report the result
+    if (req.method === 'POST') {
+      return res.status(200).json(await store.checkSchema({ provision: true }));
+    }
+
+    // Method not allowed
+    return sendError(res, 405, 'method_not_allowed', `Method ${req.method} not allowed`);
+
+  } catch (error) {
+    return sendCaughtError(res, error);
+  }
+}
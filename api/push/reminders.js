@@ -0,0 +1,90 @@
+// api/push/reminders.js
+// Vercel Serverless Function that sends the daily check-in reminders
+// Meant to be called on a schedule (Vercel Cron, see DEPLOYMENT.md): each run
+// pushes a reminder to every subscription whose reminder time has passed
+// today and that hasn't had one yet, listing the resolutions without a
+// check-in today. Cron jobs call with GET; POST does the same.
+//
+// ?dryRun=true reports what would be sent without contacting any push
+// service or marking anything as sent, for testing without one.
+
+import { applyCors, requireAuth } from '../_lib/auth.js';
+import { sendError, sendCaughtError } from '../_lib/errors.js';
+import { getStore } from '../_lib/store/index.js';
+import { dateKeyIn } from '../_lib/dates.js';
+import { isDue, reminderMessage } from '../_lib/reminders.js';
+import { loadVapidKeys, sendPush } from '../_lib/webpush.js';
+
+export default async function handler(req, res) {
+  // CORS headers (allowlisted origins only)
+  applyCors(req, res, 'GET, POST, OPTIONS');
+
+  // Handle preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Everything past the preflight needs the shared access token
+  if (!requireAuth(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return sendError(res, 405, 'method_not_allowed', `Method ${req.method} not allowed`);
+  }
+
+  try {
+    const dryRun = req.query?.dryRun === 'true';
+    const vapid = dryRun ? null : loadVapidKeys();
+    const store = getStore();
+    const now = new Date();
+
+    const due = (await store.listSubscriptions()).filter(s => isDue(s, now));
+    const summary = { due: due.length, sent: 0, skipped: 0, expired: 0, failed: 0 };
+    if (due.length === 0) {
+      return res.status(200).json(dryRun ? { ...summary, reminders: [] } : summary);
+    }
+
+    const { resolutions } = await store.list();
+    const reminders = [];
+
+    for (const subscription of due) {
+      const today = dateKeyIn(now, subscription.timeZone);
+      const message = reminderMessage(resolutions, today);
+
+      if (dryRun) {
+        reminders.push({ endpoint: subscription.endpoint, message });
+        continue;
+      }
+
+      // Everything checked in: nothing to say, and nothing more to check today
+      if (!message) {
+        summary.skipped += 1;
+        await store.saveSubscription({ endpoint: subscription.endpoint, lastReminded: today });
+        continue;
+      }
+
+      try {
+        const { ok, gone } = await sendPush(subscription, message, vapid);
+        if (gone) {
+          summary.expired += 1;
+          await store.deleteSubscription(subscription.endpoint);
+        } else if (ok) {
+          summary.sent += 1;
+          await store.saveSubscription({ endpoint: subscription.endpoint, lastReminded: today });
+        } else {
+          // Left due, so the next run tries again
+          summary.failed += 1;
+        }
+      } catch (error) {
+        console.error('Push delivery failed:', error);
+        summary.failed += 1;
+      }
+    }
+
+    return res.status(200).json(dryRun ? { ...summary, reminders } : summary);
+
+  } catch (error) {
+    return sendCaughtError(res, error);
+  }
+}
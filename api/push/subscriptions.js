@@ -0,0 +1,72 @@
+// api/push/subscriptions.js
+// Vercel Serverless Function for push reminder subscriptions
+// GET hands out the VAPID public key browsers subscribe with; POST stores a
+// browser's subscription with its reminder time, DELETE forgets it.
+// Reminders are sent by api/push/reminders.js.
+
+import { applyCors, requireAuth } from '../_lib/auth.js';
+import { sendError, sendValidationError, sendCaughtError } from '../_lib/errors.js';
+import { getStore } from '../_lib/store/index.js';
+import { validateSubscription, validateUnsubscribe } from '../_lib/validation.js';
+import { loadVapidKeys } from '../_lib/webpush.js';
+
+export default async function handler(req, res) {
+  // CORS headers (allowlisted origins only)
+  applyCors(req, res, 'GET, POST, DELETE, OPTIONS');
+
+  // Handle preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Everything past the preflight needs the shared access token
+  if (!requireAuth(req, res)) {
+    return;
+  }
+
+  try {
+    // GET - The application server key for PushManager.subscribe()
+    if (req.method === 'GET') {
+      return res.status(200).json({ publicKey: loadVapidKeys().publicKey });
+    }
+
+    const store = getStore();
+
+    // POST - Save a subscription, or change its reminder time
+    if (req.method === 'POST') {
+      const errors = validateSubscription(req.body);
+      if (Object.keys(errors).length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      const { subscription: { endpoint, keys }, reminderTime, timeZone } = req.body;
+      await store.saveSubscription({ endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth }, reminderTime, timeZone });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Reminders enabled'
+      });
+    }
+
+    // DELETE - Stop sending reminders to a subscription
+    if (req.method === 'DELETE') {
+      const errors = validateUnsubscribe(req.body);
+      if (Object.keys(errors).length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      await store.deleteSubscription(req.body.endpoint);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Reminders disabled'
+      });
+    }
+
+    // Method not allowed
+    return sendError(res, 405, 'method_not_allowed', `Method ${req.method} not allowed`);
+
+  } catch (error) {
+    return sendCaughtError(res, error);
+  }
+}
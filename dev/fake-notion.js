@@ -0,0 +1,451 @@
+// dev/fake-notion.js
+// In-memory stand-in for the parts of the Notion API the app uses, so the
+// whole stack runs (and is tested) without a Notion workspace.
+//
+//   npm run fake-notion              listens on http://localhost:4010
+//   PORT=5000 npm run fake-notion    another port
+//
+// Then point the API at it:
+//   NOTION_API_BASE_URL=http://localhost:4010/v1
+//   NOTION_API_KEY=fake-notion-key
+//   NOTION_DATABASE_ID=fake-resolutions
+//   NOTION_CHECKINS_DATABASE_ID=fake-checkins
+//   NOTION_PUSH_DATABASE_ID=fake-push-subscriptions
+//
+// Implemented: POST /v1/databases/:id/query (filters, sorts, pagination),
+// GET/PATCH /v1/databases/:id, POST /v1/pages, GET/PATCH /v1/pages/:id.
+// Errors use Notion's shape ({ object: 'error', status, code, message }).
+// Unlike Notion, last_edited_time keeps milliseconds and changes on every
+// edit, so version checks are exact.
+//
+// Test hooks, also over HTTP for a running server:
+//   fake.failNext(429, 2)    POST /__fake/fail  { "status": 429, "count": 2 }
+//   fake.reset()             POST /__fake/reset
+
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+export const FAKE_API_KEY = 'fake-notion-key';
+export const RESOLUTIONS_DATABASE_ID = 'fake-resolutions';
+export const CHECKINS_DATABASE_ID = 'fake-checkins';
+export const PUSH_DATABASE_ID = 'fake-push-subscriptions';
+
+const ERROR_CODES = {
+  400: ['validation_error', 'Request body is invalid.'],
+  401: ['unauthorized', 'API token is invalid.'],
+  403: ['restricted_resource', 'API token does not have access to this resource.'],
+  404: ['object_not_found', 'Could not find object.'],
+  409: ['conflict_error', 'Conflict occurred while saving. Please try again.'],
+  429: ['rate_limited', 'You have been rate limited. Please try again in a few minutes.'],
+  500: ['internal_server_error', 'Unexpected error occurred.'],
+  503: ['service_unavailable', 'Notion is unavailable, please try again later.'],
+};
+
+class NotionError extends Error {
+  constructor(status, message, code = ERROR_CODES[status]?.[0] || 'internal_server_error') {
+    super(message || ERROR_CODES[status]?.[1] || 'Unexpected error occurred.');
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const notFound = (id) => new NotionError(404, `Could not find object with ID: ${id}. Make sure the relevant pages and databases are shared with your integration.`);
+
+const text = (content) => [{
+  type: 'text',
+  text: { content, link: null },
+  plain_text: content,
+}];
+
+const schemaProperty = (name, type, config = {}) => ({ id: randomUUID().slice(0, 4), name, type, [type]: config });
+
+const selectOptions = (names) => ({ options: names.map(name => ({ id: randomUUID().slice(0, 4), name, color: 'default' })) });
+
+// The default schemas from DEPLOYMENT.md
+const resolutionsSchema = () => ({
+  'Resolution': schemaProperty('Resolution', 'title'),
+  'Category': schemaProperty('Category', 'select', selectOptions(['Personal Growth', 'Health', 'Finance', 'Wellness', 'Career', 'Relationships'])),
+  'Target': schemaProperty('Target', 'number', { format: 'number' }),
+  'Current Progress': schemaProperty('Current Progress', 'number', { format: 'number' }),
+  'Unit': schemaProperty('Unit', 'rich_text'),
+  'Frequency': schemaProperty('Frequency', 'select', selectOptions(['daily', 'weekly', 'monthly', 'yearly'])),
+  'Streak': schemaProperty('Streak', 'number', { format: 'number' }),
+  'Last Check-in': schemaProperty('Last Check-in', 'date'),
+  'Step': schemaProperty('Step', 'number', { format: 'number' }),
+});
+
+const checkinsSchema = () => ({
+  'Check-in': schemaProperty('Check-in', 'title'),
+  'Resolution': schemaProperty('Resolution', 'relation', { database_id: RESOLUTIONS_DATABASE_ID, type: 'single_property', single_property: {} }),
+  'Date': schemaProperty('Date', 'date'),
+  'Amount': schemaProperty('Amount', 'number', { format: 'number' }),
+  'Progress': schemaProperty('Progress', 'number', { format: 'number' }),
+});
+
+const pushSchema = () => ({
+  'Endpoint': schemaProperty('Endpoint', 'title'),
+  'Keys': schemaProperty('Keys', 'rich_text'),
+  'Reminder Time': schemaProperty('Reminder Time', 'rich_text'),
+  'Time Zone': schemaProperty('Time Zone', 'rich_text'),
+  'Last Reminded': schemaProperty('Last Reminded', 'date'),
+});
+
+const SEED_RESOLUTIONS = [
+  { title: 'Read 24 books', category: 'Personal Growth', target: 24, current: 3, unit: 'books', frequency: 'yearly' },
+  { title: 'Exercise 4x per week', category: 'Health', target: 4, current: 1, unit: 'sessions', frequency: 'weekly' },
+  { title: 'Save $10,000', category: 'Finance', target: 10000, current: 850, unit: 'dollars', frequency: 'yearly' },
+];
+
+// Turn a written property value into what Notion returns for it
+const storeValue = (name, schema, value) => {
+  if (!schema) {
+    throw new NotionError(400, `${name} is not a property that exists.`);
+  }
+
+  const { type } = schema;
+  if (!(type in value)) {
+    throw new NotionError(400, `${name} is expected to be ${type}.`);
+  }
+
+  const input = value[type];
+  switch (type) {
+    case 'title':
+    case 'rich_text':
+      if (!Array.isArray(input)) throw new NotionError(400, `body.properties.${name}.${type} should be an array.`);
+      return { id: schema.id, type, [type]: input.flatMap(t => text(t.text?.content ?? t.plain_text ?? '')) };
+    case 'number':
+      if (input !== null && typeof input !== 'number') throw new NotionError(400, `body.properties.${name}.number should be a number or null.`);
+      return { id: schema.id, type, number: input };
+    case 'select': {
+      if (input === null) return { id: schema.id, type, select: null };
+      if (!input?.name) throw new NotionError(400, `body.properties.${name}.select.name should be defined.`);
+      // Like Notion, writing an unknown option adds it to the schema
+      let option = schema.select.options.find(o => o.name === input.name);
+      if (!option) {
+        option = { id: randomUUID().slice(0, 4), name: input.name, color: 'default' };
+        schema.select.options.push(option);
+      }
+      return { id: schema.id, type, select: option };
+    }
+    case 'date':
+      if (input !== null && typeof input?.start !== 'string') throw new NotionError(400, `body.properties.${name}.date.start should be a string.`);
+      return { id: schema.id, type, date: input && { start: input.start, end: input.end ?? null, time_zone: null } };
+    case 'relation':
+      if (!Array.isArray(input)) throw new NotionError(400, `body.properties.${name}.relation should be an array.`);
+      return { id: schema.id, type, relation: input.map(({ id }) => ({ id })), has_more: false };
+    default:
+      throw new NotionError(400, `Writing ${type} properties isn't supported by the fake Notion server.`);
+  }
+};
+
+// Comparable value of a stored property, for filters and sorts
+const plainValue = (prop) => {
+  if (!prop) return null;
+  switch (prop.type) {
+    case 'title':
+    case 'rich_text':
+      return prop[prop.type].map(t => t.plain_text).join('');
+    case 'select':
+      return prop.select?.name ?? null;
+    case 'date':
+      return prop.date?.start ?? null;
+    default:
+      return prop[prop.type];
+  }
+};
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return typeof a === 'number' ? a - b : String(a).localeCompare(String(b));
+};
+
+export function createFakeNotion({ apiKey = FAKE_API_KEY, seed = true } = {}) {
+  let databases;
+  let pages;
+  let failures = [];
+
+  const now = () => new Date().toISOString();
+
+  const getDatabase = (id) => {
+    const database = databases.get(id);
+    if (!database) throw notFound(id);
+    return database;
+  };
+
+  const getPage = (id) => {
+    const page = pages.get(id);
+    if (!page) throw notFound(id);
+    return page;
+  };
+
+  const writeProperties = (page, database, properties = {}) => {
+    for (const [name, value] of Object.entries(properties)) {
+      page.properties[name] = storeValue(name, database.properties[name], value);
+    }
+  };
+
+  const createPage = ({ parent, properties } = {}) => {
+    if (!parent?.database_id) {
+      throw new NotionError(400, 'body.parent.database_id should be defined.');
+    }
+    const database = getDatabase(parent.database_id);
+    const timestamp = now();
+    const page = {
+      object: 'page',
+      id: randomUUID(),
+      created_time: timestamp,
+      last_edited_time: timestamp,
+      archived: false,
+      parent: { type: 'database_id', database_id: database.id },
+      properties: {},
+    };
+
+    // Unset properties come back empty, as in Notion
+    for (const [name, schema] of Object.entries(database.properties)) {
+      page.properties[name] = { id: schema.id, type: schema.type, [schema.type]: ['title', 'rich_text', 'relation'].includes(schema.type) ? [] : null };
+    }
+    writeProperties(page, database, properties);
+    pages.set(page.id, page);
+    return page;
+  };
+
+  const matchesFilter = (page, database, filter) => {
+    if (!filter) return true;
+    if (filter.and) return filter.and.every(f => matchesFilter(page, database, f));
+    if (filter.or) return filter.or.some(f => matchesFilter(page, database, f));
+
+    const schema = database.properties[filter.property];
+    if (!schema) {
+      throw new NotionError(400, `Could not find property with name or id: ${filter.property}`);
+    }
+    const condition = filter[schema.type];
+    if (!condition) {
+      throw new NotionError(400, `body.filter.${schema.type} should be defined, instead was \`undefined\`.`);
+    }
+
+    const prop = page.properties[filter.property];
+    if ('contains' in condition && schema.type === 'relation') {
+      return prop.relation.some(r => r.id === condition.contains);
+    }
+    if ('on_or_after' in condition && schema.type === 'date') {
+      const value = plainValue(prop);
+      return value !== null && value >= condition.on_or_after;
+    }
+    if ('equals' in condition) {
+      return plainValue(prop) === condition.equals;
+    }
+    throw new NotionError(400, 'The fake Notion server only supports equals, relation contains and date on_or_after filters.');
+  };
+
+  const queryDatabase = (id, { filter, sorts = [], page_size: pageSize = 100, start_cursor: cursor } = {}) => {
+    const database = getDatabase(id);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 100) {
+      throw new NotionError(400, 'body.page_size should be a number between 1 and 100.');
+    }
+    for (const sort of sorts) {
+      if (!database.properties[sort.property]) {
+        throw new NotionError(400, `Could not find sort property with name or id: ${sort.property}`);
+      }
+    }
+
+    const rows = [...pages.values()]
+      .filter(page => !page.archived && page.parent.database_id === id)
+      .filter(page => matchesFilter(page, database, filter))
+      .sort((a, b) => {
+        for (const { property, direction } of sorts) {
+          const order = compare(plainValue(a.properties[property]), plainValue(b.properties[property]));
+          if (order) return direction === 'descending' ? -order : order;
+        }
+        return compare(a.created_time, b.created_time);
+      });
+
+    // Cursors are the ID of the first row of the next batch
+    const start = cursor ? rows.findIndex(page => page.id === cursor) : 0;
+    if (start === -1) {
+      throw new NotionError(400, 'body.start_cursor should be a valid cursor.');
+    }
+    const results = rows.slice(start, start + pageSize);
+    const next = rows[start + pageSize];
+
+    return {
+      object: 'list',
+      results,
+      has_more: Boolean(next),
+      next_cursor: next ? next.id : null,
+      type: 'page_or_database',
+    };
+  };
+
+  // Add (schema object), rename ({ name }) or remove (null) properties
+  const updateDatabase = (id, { properties = {} } = {}) => {
+    const database = getDatabase(id);
+    for (const [name, change] of Object.entries(properties)) {
+      const existing = database.properties[name];
+      if (change === null) {
+        delete database.properties[name];
+      } else if (existing && change.name && Object.keys(change).length === 1) {
+        delete database.properties[name];
+        database.properties[change.name] = { ...existing, name: change.name };
+        for (const page of pages.values()) {
+          if (page.parent.database_id === id && page.properties[name]) {
+            page.properties[change.name] = page.properties[name];
+            delete page.properties[name];
+          }
+        }
+      } else {
+        const [type] = Object.keys(change).filter(key => key !== 'name');
+        if (!type) throw new NotionError(400, `body.properties.${name} should define a property type.`);
+        if (type === 'title' && Object.values(database.properties).some(p => p.type === 'title' && p.name !== name)) {
+          throw new NotionError(400, 'Cannot create new title property.');
+        }
+        const config = type === 'select'
+          ? selectOptions((change.select.options || []).map(o => o.name))
+          : change[type];
+        database.properties[name] = schemaProperty(name, type, config);
+      }
+    }
+    database.last_edited_time = now();
+    return database;
+  };
+
+  const reset = () => {
+    const timestamp = now();
+    databases = new Map([
+      [RESOLUTIONS_DATABASE_ID, { object: 'database', id: RESOLUTIONS_DATABASE_ID, title: text('Resolutions'), created_time: timestamp, last_edited_time: timestamp, properties: resolutionsSchema() }],
+      [CHECKINS_DATABASE_ID, { object: 'database', id: CHECKINS_DATABASE_ID, title: text('Check-ins'), created_time: timestamp, last_edited_time: timestamp, properties: checkinsSchema() }],
+      [PUSH_DATABASE_ID, { object: 'database', id: PUSH_DATABASE_ID, title: text('Push subscriptions'), created_time: timestamp, last_edited_time: timestamp, properties: pushSchema() }],
+    ]);
+    pages = new Map();
+    failures = [];
+
+    if (seed) {
+      for (const r of SEED_RESOLUTIONS) {
+        createPage({
+          parent: { database_id: RESOLUTIONS_DATABASE_ID },
+          properties: {
+            'Resolution': { title: [{ text: { content: r.title } }] },
+            'Category': { select: { name: r.category } },
+            'Target': { number: r.target },
+            'Current Progress': { number: r.current },
+            'Unit': { rich_text: [{ text: { content: r.unit } }] },
+            'Frequency': { select: { name: r.frequency } },
+            'Streak': { number: 0 },
+          }
+        });
+      }
+    }
+  };
+
+  // method + path -> handler(body, ...params)
+  const routes = [
+    ['POST', /^\/v1\/databases\/([^/]+)\/query$/, (body, id) => queryDatabase(id, body)],
+    ['GET', /^\/v1\/databases\/([^/]+)$/, (body, id) => getDatabase(id)],
+    ['PATCH', /^\/v1\/databases\/([^/]+)$/, (body, id) => updateDatabase(id, body)],
+    ['POST', /^\/v1\/pages$/, (body) => createPage(body)],
+    ['GET', /^\/v1\/pages\/([^/]+)$/, (body, id) => getPage(id)],
+    ['PATCH', /^\/v1\/pages\/([^/]+)$/, (body, id) => {
+      const page = getPage(id);
+      if (page.archived && body.archived !== false) {
+        throw new NotionError(400, "Can't edit block that is archived. You must unarchive the block before editing.");
+      }
+      writeProperties(page, getDatabase(page.parent.database_id), body.properties);
+      if (typeof body.archived === 'boolean') page.archived = body.archived;
+      page.last_edited_time = new Date(Math.max(Date.now(), Date.parse(page.last_edited_time) + 1)).toISOString();
+      return page;
+    }],
+  ];
+
+  // Answer one request: { method, path, headers, body } -> { status, body }
+  const handle = ({ method, path, headers = {}, body }) => {
+    try {
+      if (path === '/__fake/reset' && method === 'POST') {
+        reset();
+        return { status: 200, body: { ok: true } };
+      }
+      if (path === '/__fake/fail' && method === 'POST') {
+        failNext(body?.status, body?.count);
+        return { status: 200, body: { ok: true } };
+      }
+
+      if (headers.authorization !== `Bearer ${apiKey}`) {
+        throw new NotionError(401);
+      }
+      if (!headers['notion-version']) {
+        throw new NotionError(400, 'Notion-Version header failed validation: Notion-Version header should be defined, instead was `undefined`.', 'missing_version');
+      }
+      if (failures.length > 0) {
+        throw new NotionError(failures.shift());
+      }
+
+      for (const [routeMethod, pattern, route] of routes) {
+        const match = path.match(pattern);
+        if (match && method === routeMethod) {
+          return { status: 200, body: route(body || {}, ...match.slice(1)) };
+        }
+      }
+      throw new NotionError(400, `Invalid request URL.`, 'invalid_request_url');
+    } catch (error) {
+      if (!(error instanceof NotionError)) throw error;
+      return { status: error.status, body: { object: 'error', status: error.status, code: error.code, message: error.message } };
+    }
+  };
+
+  // Make the next `count` Notion calls fail with `status`
+  const failNext = (status = 500, count = 1) => {
+    failures.push(...Array(count).fill(status));
+  };
+
+  const server = createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const raw = Buffer.concat(chunks).toString('utf8');
+
+    let result;
+    try {
+      const body = raw ? JSON.parse(raw) : undefined;
+      result = handle({ method: req.method, path: new URL(req.url, 'http://localhost').pathname, headers: req.headers, body });
+    } catch (error) {
+      result = error instanceof SyntaxError
+        ? { status: 400, body: { object: 'error', status: 400, code: 'invalid_json', message: 'Error parsing JSON body.' } }
+        : { status: 500, body: { object: 'error', status: 500, code: 'internal_server_error', message: error.message } };
+    }
+
+    res.writeHead(result.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result.body));
+  });
+
+  reset();
+
+  return {
+    server,
+    handle,
+    reset,
+    failNext,
+    get databases() { return databases; },
+    get pages() { return pages; },
+    listen(port = 0) {
+      return new Promise(resolve => {
+        server.listen(port, () => resolve(`http://localhost:${server.address().port}/v1`));
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+// Run directly: start a server with the seed data
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const fake = createFakeNotion();
+  const baseUrl = await fake.listen(Number(process.env.PORT) || 4010);
+  console.log(`Fake Notion API listening on ${baseUrl}`);
+  console.log('Point the API at it with:');
+  console.log(`  NOTION_API_BASE_URL=${baseUrl}`);
+  console.log(`  NOTION_API_KEY=${FAKE_API_KEY}`);
+  console.log(`  NOTION_DATABASE_ID=${RESOLUTIONS_DATABASE_ID}`);
+  console.log(`  NOTION_CHECKINS_DATABASE_ID=${CHECKINS_DATABASE_ID}`);
+  console.log(`  NOTION_PUSH_DATABASE_ID=${PUSH_DATABASE_ID}`);
+}
@@ -0,0 +1,11 @@
+// dev/vapid-keys.js
+// Prints a new VAPID key pair for push reminders (see DEPLOYMENT.md)
+//
+//   npm run vapid-keys
+
+import { generateVapidKeys } from '../api/_lib/webpush.js';
+
+const { publicKey, privateKey } = generateVapidKeys();
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+console.log('VAPID_SUBJECT=mailto:you@example.com');
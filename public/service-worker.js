@@ -1,273 +0,0 @@
-// Service Worker for Resolution Tracker PWA
-// Provides offline support, caching, and background sync
-
-const CACHE_NAME = 'resolution-tracker-v1';
-const STATIC_CACHE = 'static-v1';
-const DYNAMIC_CACHE = 'dynamic-v1';
-
-// Assets to cache on install
-const STATIC_ASSETS = [
-  '/',
-  '/index.html',
-  '/manifest.json',
-  '/styles.css',
-  '/app.js',
-  '/icons/icon-192.png',
-  '/icons/icon-512.png',
-  'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700;800&display=swap'
-];
-
-// API endpoints to cache with network-first strategy
-const API_ENDPOINTS = [
-  '/api/resolutions',
-  '/api/user'
-];
-
-// Install event - cache static assets
-self.addEventListener('install', (event) => {
-  console.log('[SW] Installing service worker...');
-  
-  event.waitUntil(
-    caches.open(STATIC_CACHE)
-      .then((cache) => {
-        console.log('[SW] Caching static assets');
-        return cache.addAll(STATIC_ASSETS);
-      })
-      .then(() => self.skipWaiting())
-  );
-});
-
-// Activate event - clean up old caches
-self.addEventListener('activate', (event) => {
-  console.log('[SW] Activating service worker...');
-  
-  event.waitUntil(
-    caches.keys()
-      .then((cacheNames) => {
-        return Promise.all(
-          cacheNames
-            .filter((name) => name !== STATIC_CACHE && name !== DYNAMIC_CACHE)
-            .map((name) => {
-              console.log('[SW] Deleting old cache:', name);
-              return caches.delete(name);
-            })
-        );
-      })
-      .then(() => self.clients.claim())
-  );
-});
-
-// Fetch event - serve from cache or network
-self.addEventListener('fetch', (event) => {
-  const { request } = event;
-  const url = new URL(request.url);
-
-  // Skip non-GET requests
-  if (request.method !== 'GET') {
-    return;
-  }
-
-  // API requests: Network first, fall back to cache
-  if (API_ENDPOINTS.some(endpoint => url.pathname.startsWith(endpoint))) {
-    event.respondWith(networkFirst(request));
-    return;
-  }
-
-  // Static assets: Cache first, fall back to network
-  if (STATIC_ASSETS.includes(url.pathname) || url.pathname.match(/\.(js|css|png|jpg|jpeg|svg|woff2?)$/)) {
-    event.respondWith(cacheFirst(request));
-    return;
-  }
-
-  // HTML pages: Network first for freshness
-  if (request.headers.get('accept')?.includes('text/html')) {
-    event.respondWith(networkFirst(request));
-    return;
-  }
-
-  // Default: Stale while revalidate
-  event.respondWith(staleWhileRevalidate(request));
-});
-
-// Cache-first strategy
-async function cacheFirst(request) {
-  const cached = await caches.match(request);
-  if (cached) {
-    return cached;
-  }
-  
-  try {
-    const response = await fetch(request);
-    if (response.ok) {
-      const cache = await caches.open(STATIC_CACHE);
-      cache.put(request, response.clone());
-    }
-    return response;
-  } catch (error) {
-    return new Response('Offline', { status: 503 });
-  }
-}
-
-// Network-first strategy
-async function networkFirst(request) {
-  try {
-    const response = await fetch(request);
-    if (response.ok) {
-      const cache = await caches.open(DYNAMIC_CACHE);
-      cache.put(request, response.clone());
-    }
-    return response;
-  } catch (error) {
-    const cached = await caches.match(request);
-    if (cached) {
-      return cached;
-    }
-    
-    // Return offline page for HTML requests
-    if (request.headers.get('accept')?.includes('text/html')) {
-      return caches.match('/offline.html');
-    }
-    
-    return new Response(JSON.stringify({ error: 'Offline' }), {
-      status: 503,
-      headers: { 'Content-Type': 'application/json' }
-    });
-  }
-}
-
-// Stale-while-revalidate strategy
-async function staleWhileRevalidate(request) {
-  const cached = await caches.match(request);
-  
-  const fetchPromise = fetch(request)
-    .then((response) => {
-      if (response.ok) {
-        const cache = caches.open(DYNAMIC_CACHE);
-        cache.then(c => c.put(request, response.clone()));
-      }
-      return response;
-    })
-    .catch(() => cached);
-
-  return cached || fetchPromise;
-}
-
-// Background sync for offline updates
-self.addEventListener('sync', (event) => {
-  console.log('[SW] Background sync:', event.tag);
-  
-  if (event.tag === 'sync-resolutions') {
-    event.waitUntil(syncResolutions());
-  }
-});
-
-async function syncResolutions() {
-  try {
-    // Get pending updates from IndexedDB
-    const db = await openDB();
-    const pendingUpdates = await db.getAll('pendingUpdates');
-    
-    for (const update of pendingUpdates) {
-      await fetch('/api/resolutions', {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(update)
-      });
-      
-      await db.delete('pendingUpdates', update.id);
-    }
-    
-    console.log('[SW] Sync complete');
-  } catch (error) {
-    console.error('[SW] Sync failed:', error);
-    throw error; // Retry sync
-  }
-}
-
-// Push notifications
-self.addEventListener('push', (event) => {
-  const data = event.data?.json() || {};
-  
-  const options = {
-    body: data.body || 'Time to check in on your resolutions!',
-    icon: '/icons/icon-192.png',
-    badge: '/icons/badge-72.png',
-    vibrate: [100, 50, 100],
-    data: {
-      url: data.url || '/',
-      timestamp: Date.now()
-    },
-    actions: [
-      { action: 'checkin', title: '✓ Check In' },
-      { action: 'dismiss', title: 'Later' }
-    ],
-    tag: 'resolution-reminder',
-    renotify: true
-  };
-
-  event.waitUntil(
-    self.registration.showNotification(data.title || 'Resolution Tracker', options)
-  );
-});
-
-// Notification click handler
-self.addEventListener('notificationclick', (event) => {
-  event.notification.close();
-
-  if (event.action === 'checkin') {
-    event.waitUntil(
-      clients.openWindow('/?action=checkin')
-    );
-  } else if (event.action === 'dismiss') {
-    // Just close the notification
-  } else {
-    event.waitUntil(
-      clients.matchAll({ type: 'window' })
-        .then((clientList) => {
-          // Focus existing window or open new one
-          for (const client of clientList) {
-            if (client.url === '/' && 'focus' in client) {
-              return client.focus();
-            }
-          }
-          return clients.openWindow('/');
-        })
-    );
-  }
-});
-
-// Simple IndexedDB wrapper for pending updates
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('ResolutionTrackerDB', 1);
-    
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => {
-      const db = request.result;
-      resolve({
-        getAll: (store) => new Promise((res, rej) => {
-          const tx = db.transaction(store, 'readonly');
-          const req = tx.objectStore(store).getAll();
-          req.onsuccess = () => res(req.result);
-          req.onerror = () => rej(req.error);
-        }),
-        delete: (store, key) => new Promise((res, rej) => {
-          const tx = db.transaction(store, 'readwrite');
-          const req = tx.objectStore(store).delete(key);
-          req.onsuccess = () => res();
-          req.onerror = () => rej(req.error);
-        })
-      });
-    };
-    
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      if (!db.objectStoreNames.contains('pendingUpdates')) {
-        db.createObjectStore('pendingUpdates', { keyPath: 'id' });
-      }
-      if (!db.objectStoreNames.contains('resolutions')) {
-        db.createObjectStore('resolutions', { keyPath: 'id' });
-      }
-    };
-  });
-}
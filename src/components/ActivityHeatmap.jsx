@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { todayKey, MONTH_NAMES } from '../utils/periods';
+import { dailyActivity, activityCount, heatmapWeeks, activityLevel } from '../utils/activity';
+import { categoryColors } from '../utils/resolutions';
+
+const CELL = 10;
+const GAP = 2;
+const TOP = 14;
+const LEVEL_OPACITY = [0, 0.3, 0.55, 0.8, 1];
+
+const sectionLabel = { margin: 0, fontSize: '11px', color: '#64748B', textTransform: 'uppercase', letterSpacing: '0.5px' };
+
+const chipStyle = (active, color) => ({
+  padding: '4px 10px',
+  borderRadius: '16px',
+  fontSize: '11px',
+  fontWeight: 600,
+  cursor: 'pointer',
+  border: `1px solid ${active ? color : 'rgba(255,255,255,0.1)'}`,
+  background: active ? `${color}33` : 'transparent',
+  color: active ? '#E2E8F0' : '#94A3B8',
+});
+
+// Year of check-ins across all resolutions, one square per day, from the Notion
+// check-in log when there is one. A category chip narrows it (in that category's
+// color); clicking a day lists its check-ins.
+const ActivityHeatmap = ({ resolutions, activityLog = null }) => {
+  const [category, setCategory] = useState('');
+  const [selectedDay, setSelectedDay] = useState(null);
+
+  const today = todayKey();
+  const weeks = heatmapWeeks(today);
+  const activity = dailyActivity(resolutions, category, activityLog);
+  const max = Math.max(0, ...[...activity.values()].map(activityCount));
+  const color = category ? categoryColors(category).accent : '#6366F1';
+  const categories = [...new Set(resolutions.map(r => r.category))];
+  const dayEntries = selectedDay ? activity.get(selectedDay) || [] : [];
+
+  const pickCategory = (value) => {
+    setCategory(value);
+    setSelectedDay(null);
+  };
+
+  return (
+    <div className="glass-card" style={{ padding: '16px', marginBottom: '24px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', marginBottom: '12px', flexWrap: 'wrap' }}>
+        <p style={sectionLabel}>Activity</p>
+        <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+          <button style={chipStyle(!category, '#6366F1')} onClick={() => pickCategory('')}>All</button>
+          {categories.map(cat => (
+            <button key={cat} style={chipStyle(category === cat, categoryColors(cat).accent)} onClick={() => pickCategory(cat)}>
+              {cat}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ overflowX: 'auto' }}>
+        <svg
+          width={weeks.length * (CELL + GAP)}
+          height={TOP + 7 * (CELL + GAP)}
+          style={{ display: 'block' }}
+        >
+          {weeks.map((week, w) => {
+            const first = week[0];
+            const newMonth = w === 0 || first.slice(5, 7) !== weeks[w - 1][0].slice(5, 7);
+            return (
+              <g key={first} transform={`translate(${w * (CELL + GAP)}, 0)`}>
+                {newMonth && w < weeks.length - 2 && (
+                  <text x="0" y="9" fill="#64748B" fontSize="9">{MONTH_NAMES[Number(first.slice(5, 7)) - 1]}</text>
+                )}
+                {week.map((date, d) => {
+                  if (!date) return null;
+                  const count = activityCount(activity.get(date));
+                  const level = activityLevel(count, max);
+                  return (
+                    <rect
+                      key={date}
+                      role="button"
+                      aria-label={`${date}: ${count} check-in${count === 1 ? '' : 's'}`}
+                      x="0"
+                      y={TOP + d * (CELL + GAP)}
+                      width={CELL}
+                      height={CELL}
+                      rx="2"
+                      fill={level ? color : 'rgba(255,255,255,0.05)'}
+                      fillOpacity={level ? LEVEL_OPACITY[level] : 1}
+                      stroke={date === selectedDay ? '#E2E8F0' : 'none'}
+                      style={{ cursor: 'pointer' }}
+                      onClick={() => setSelectedDay(date === selectedDay ? null : date)}
+                    >
+                      <title>{`${date}: ${count} check-in${count === 1 ? '' : 's'}`}</title>
+                    </rect>
+                  );
+                })}
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      {selectedDay && (
+        <div style={{ marginTop: '12px' }}>
+          <p style={{ margin: '0 0 4px', fontSize: '13px', fontWeight: 600 }}>{selectedDay}</p>
+          {dayEntries.length === 0 && (
+            <p style={{ margin: 0, fontSize: '13px', color: '#64748B' }}>Nothing logged</p>
+          )}
+          {dayEntries.map(({ resolution, amount }, i) => (
+            <div key={i} style={{ display: 'flex', justifyContent: 'space-between', padding: '6px 0', fontSize: '13px', borderTop: '1px solid rgba(255,255,255,0.04)' }}>
+              <span style={{ color: '#94A3B8' }}>{resolution.title}</span>
+              <span style={{ fontWeight: 600, color: amount > 0 ? '#4ADE80' : '#F87171' }}>
+                {amount > 0 ? '+' : ''}{amount} {resolution.unit}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActivityHeatmap;
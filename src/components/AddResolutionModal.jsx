@@ -0,0 +1,41 @@
+import { useResolutions } from '../store/context';
+import { NEW_RESOLUTION, validateResolution } from '../utils/resolutions';
+import ResolutionFields from './ResolutionFields';
+
+// Form for a new resolution; the draft lives with the caller so it survives closing
+const AddResolutionModal = ({ values, onChange, onClose }) => {
+  const { addResolution } = useResolutions();
+  const errors = validateResolution(values);
+
+  const add = () => {
+    if (Object.keys(errors).length > 0) return;
+    addResolution(values);
+    onClose();
+    onChange(NEW_RESOLUTION);
+  };
+
+  return (
+    <div className="modal-overlay animate-fadeIn" onClick={onClose}>
+      <div className="modal-content animate-slideUp" onClick={e => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+          <h2 style={{ margin: 0, fontSize: '20px', fontWeight: 700 }}>New Resolution</h2>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', color: '#64748B', fontSize: '24px', cursor: 'pointer', padding: '4px' }}
+          >×</button>
+        </div>
+
+        <ResolutionFields values={values} onChange={onChange} errors={{ ...errors, title: undefined }} />
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginTop: '24px' }}>
+          <button className="btn-secondary" onClick={onClose}>Cancel</button>
+          <button className="btn-primary" onClick={add} disabled={Object.keys(errors).length > 0}>
+            Add Goal
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AddResolutionModal;
@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { useResolutions } from '../store/context';
+import { getPeriodCurrent, getPresets, getStep } from '../utils/resolutions';
+
+// Check-in controls for the detail view: ± one step, quick amounts for the
+// unit, and a field to log any amount or set the period's progress outright.
+// Every path is an updateProgress call, so it's queued like any other check-in.
+const CheckinEntry = ({ resolution }) => {
+  const { updateProgress } = useResolutions();
+  const [amount, setAmount] = useState('');
+  const [mode, setMode] = useState('add'); // 'add' | 'set'
+  const step = getStep(resolution);
+  const presets = getPresets(resolution);
+
+  const value = amount === '' ? NaN : Number(amount);
+  const valid = Number.isFinite(value) && (mode === 'set' ? value >= 0 : value !== 0);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!valid) return;
+    updateProgress(resolution.id, mode === 'set' ? value - getPeriodCurrent(resolution) : value);
+    setAmount('');
+  };
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <div style={{ display: 'flex', gap: '12px', marginBottom: '12px' }}>
+        <button
+          className="btn-secondary"
+          style={{ flex: 1, fontSize: '16px' }}
+          onClick={() => updateProgress(resolution.id, -step)}
+        >
+          − Remove{step !== 1 && ` ${step}`}
+        </button>
+        <button
+          className="btn-primary"
+          style={{ flex: 1, fontSize: '16px' }}
+          onClick={() => updateProgress(resolution.id, step)}
+        >
+          + Add{step !== 1 && ` ${step}`}
+        </button>
+      </div>
+
+      {presets.length > 0 && (
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '12px', flexWrap: 'wrap' }}>
+          {presets.map(preset => (
+            <button
+              key={preset}
+              className="btn-secondary"
+              style={{ flex: 1, padding: '8px 12px', fontSize: '14px' }}
+              onClick={() => updateProgress(resolution.id, preset)}
+            >
+              +{preset}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={submit} style={{ display: 'flex', gap: '8px' }}>
+        <select
+          className="input-field"
+          aria-label="Entry mode"
+          value={mode}
+          onChange={e => setMode(e.target.value)}
+          style={{ width: 'auto', flexShrink: 0 }}
+        >
+          <option value="add">Log</option>
+          <option value="set">Set to</option>
+        </select>
+        <input
+          type="number"
+          step="any"
+          inputMode="decimal"
+          className="input-field"
+          aria-label="Amount"
+          placeholder={mode === 'set' ? `Total ${resolution.unit}` : `${resolution.unit} (− to correct)`}
+          value={amount}
+          onChange={e => setAmount(e.target.value)}
+          style={{ flex: 1, minWidth: 0 }}
+        />
+        <button type="submit" className="btn-primary" disabled={!valid} style={{ flexShrink: 0 }}>
+          Save
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CheckinEntry;
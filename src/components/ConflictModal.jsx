@@ -0,0 +1,46 @@
+import React from 'react';
+import { useResolutions } from '../store/context';
+import { FIELD_LABELS } from '../utils/resolutions';
+
+// Shown while the replay is stopped at an edit that was also changed in Notion
+const ConflictModal = () => {
+  const { pendingUpdates, resolveConflict } = useResolutions();
+  const conflictOp = pendingUpdates.find(op => op.conflict);
+  if (!conflictOp) return null;
+
+  return (
+    <div className="modal-overlay animate-fadeIn">
+      <div className="modal-content animate-slideUp" onClick={e => e.stopPropagation()}>
+        <h2 style={{ margin: '0 0 8px', fontSize: '20px', fontWeight: 700 }}>⚠ Sync Conflict</h2>
+        <p style={{ margin: '0 0 20px', fontSize: '14px', color: '#94A3B8', lineHeight: 1.5 }}>
+          "{conflictOp.conflict.title}" was changed in Notion while you were offline.
+        </p>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '8px', fontSize: '13px', marginBottom: '24px' }}>
+          <span style={{ color: '#64748B' }}></span>
+          <span style={{ color: '#64748B', fontWeight: 600 }}>This device</span>
+          <span style={{ color: '#64748B', fontWeight: 600 }}>Notion</span>
+          {Object.keys(conflictOp.updates).map(field => (
+            <React.Fragment key={field}>
+              <span style={{ color: '#94A3B8' }}>{FIELD_LABELS[field] || field}</span>
+              <span style={{ fontWeight: 600 }}>{String(conflictOp.updates[field])}</span>
+              <span style={{ fontWeight: 600 }}>{String(conflictOp.conflict[field] ?? '—')}</span>
+            </React.Fragment>
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+          {conflictOp.base?.current !== undefined && (
+            <button className="btn-primary" onClick={() => resolveConflict('merge')}>
+              Merge (add my progress to Notion's)
+            </button>
+          )}
+          <button className="btn-secondary" onClick={() => resolveConflict('local')}>Keep this device's changes</button>
+          <button className="btn-secondary" onClick={() => resolveConflict('remote')}>Keep Notion's changes</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictModal;
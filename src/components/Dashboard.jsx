@@ -0,0 +1,83 @@
+import { useResolutions } from '../store/context';
+import { computeStreak } from '../utils/streak';
+import { getProgress } from '../utils/resolutions';
+import ResolutionCard from './ResolutionCard';
+import ActivityHeatmap from './ActivityHeatmap';
+
+// Summary stats, the activity heatmap and the resolution cards
+const Dashboard = ({ onAdd }) => {
+  const { resolutions, activityLog, isLoading } = useResolutions();
+
+  // Stats calculations
+  const totalProgress = resolutions.length > 0
+    ? Math.round(resolutions.reduce((acc, r) => acc + getProgress(r), 0) / resolutions.length)
+    : 0;
+  const completedCount = resolutions.filter(r => getProgress(r) >= 100).length;
+  const maxStreak = resolutions.length > 0 ? Math.max(...resolutions.map(r => computeStreak(r))) : 0;
+
+  return (
+    <>
+      {/* Stats Row */}
+      <div className="stats-grid" style={{ marginBottom: '24px' }}>
+        {[
+          { label: 'Progress', value: `${totalProgress}%`, color: '#A5B4FC' },
+          { label: 'Active', value: resolutions.length, color: '#F59E0B' },
+          { label: 'Done', value: completedCount, color: '#22C55E' },
+          { label: 'Streak', value: `${maxStreak}d`, color: '#EC4899' },
+        ].map((stat, i) => (
+          <div key={i} className="glass-card" style={{ padding: '16px' }}>
+            <p style={{ margin: '0 0 4px', fontSize: '11px', color: '#64748B', textTransform: 'uppercase', letterSpacing: '0.5px' }}>{stat.label}</p>
+            {isLoading ? (
+              <div className="loading-skeleton" style={{ height: '36px', width: '60%' }} />
+            ) : (
+              <p style={{ margin: 0, fontSize: '28px', fontWeight: 800, color: stat.color }}>{stat.value}</p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {!isLoading && resolutions.length > 0 && <ActivityHeatmap resolutions={resolutions} activityLog={activityLog} />}
+
+      {/* Loading State */}
+      {isLoading && (
+        <div className="resolution-grid">
+          {[1, 2, 3, 4].map(i => (
+            <div key={i} className="glass-card" style={{ padding: '20px' }}>
+              <div className="loading-skeleton" style={{ height: '24px', width: '40%', marginBottom: '12px' }} />
+              <div className="loading-skeleton" style={{ height: '20px', width: '70%', marginBottom: '8px' }} />
+              <div className="loading-skeleton" style={{ height: '16px', width: '50%', marginBottom: '16px' }} />
+              <div className="loading-skeleton" style={{ height: '6px', width: '100%', marginBottom: '16px' }} />
+              <div style={{ display: 'flex', gap: '10px' }}>
+                <div className="loading-skeleton" style={{ height: '44px', width: '44px' }} />
+                <div className="loading-skeleton" style={{ height: '44px', width: '44px' }} />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Empty State */}
+      {!isLoading && resolutions.length === 0 && (
+        <div style={{ textAlign: 'center', padding: '60px 20px' }}>
+          <div style={{ fontSize: '48px', marginBottom: '16px' }}>🎯</div>
+          <h3 style={{ margin: '0 0 8px', fontSize: '20px', fontWeight: 600 }}>No resolutions yet</h3>
+          <p style={{ margin: '0 0 24px', color: '#64748B' }}>Add your first resolution to start tracking</p>
+          <button className="btn-primary" onClick={onAdd}>
+            + Add Resolution
+          </button>
+        </div>
+      )}
+
+      {/* Resolution Cards */}
+      {!isLoading && resolutions.length > 0 && (
+        <div className="resolution-grid">
+          {resolutions.map(resolution => (
+            <ResolutionCard key={resolution.id} resolution={resolution} />
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default Dashboard;
@@ -0,0 +1,40 @@
+import { useResolutions } from '../store/context';
+import { validateResolution } from '../utils/resolutions';
+import ResolutionFields from './ResolutionFields';
+
+// Form for editing the selected resolution from a draft of its fields
+const EditResolutionModal = ({ values, onChange, onClose }) => {
+  const { selectedResolution, saveEdits } = useResolutions();
+  const errors = validateResolution(values);
+
+  const save = () => {
+    if (Object.keys(errors).length > 0) return;
+    onClose();
+    saveEdits(selectedResolution.id, values);
+  };
+
+  return (
+    <div className="modal-overlay animate-fadeIn" onClick={onClose}>
+      <div className="modal-content animate-slideUp" onClick={e => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+          <h2 style={{ margin: 0, fontSize: '20px', fontWeight: 700 }}>Edit Resolution</h2>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', color: '#64748B', fontSize: '24px', cursor: 'pointer', padding: '4px' }}
+          >×</button>
+        </div>
+
+        <ResolutionFields values={values} onChange={onChange} errors={errors} />
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginTop: '24px' }}>
+          <button className="btn-secondary" onClick={onClose}>Cancel</button>
+          <button className="btn-primary" onClick={save} disabled={Object.keys(errors).length > 0}>
+            Save Changes
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EditResolutionModal;
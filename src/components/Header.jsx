@@ -0,0 +1,97 @@
+import { useResolutions } from '../store/context';
+
+// Sync status indicator
+const getSyncStatusDisplay = (syncStatus) => {
+  switch (syncStatus) {
+    case 'synced': return { color: '#22C55E', text: 'Synced with Notion', icon: '✓' };
+    case 'syncing': return { color: '#F59E0B', text: 'Syncing...', icon: '↻' };
+    case 'offline': return { color: '#64748B', text: 'Offline mode', icon: '○' };
+    case 'error': return { color: '#EF4444', text: 'Sync error', icon: '!' };
+    case 'conflict': return { color: '#F59E0B', text: 'Sync conflict', icon: '⚠' };
+    case 'demo': return { color: '#8B5CF6', text: 'Demo mode', icon: '◎' };
+    default: return { color: '#64748B', text: 'Unknown', icon: '?' };
+  }
+};
+
+// App title with the sync status, desktop tabs and the settings / lock / add buttons
+const Header = ({ activeTab, onTabChange, onAdd, onSettings }) => {
+  const { syncStatus, hasAccessToken, lock } = useResolutions();
+  const syncStatusDisplay = getSyncStatusDisplay(syncStatus);
+
+  return (
+    <header style={{
+      padding: '16px',
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      borderBottom: '1px solid rgba(255, 255, 255, 0.04)',
+      position: 'sticky',
+      top: 0,
+      background: 'rgba(15, 23, 42, 0.9)',
+      backdropFilter: 'blur(20px)',
+      WebkitBackdropFilter: 'blur(20px)',
+      zIndex: 50,
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+        <div style={{
+          width: '40px',
+          height: '40px',
+          background: 'linear-gradient(135deg, #6366F1, #A855F7)',
+          borderRadius: '12px',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          fontSize: '18px',
+        }}>
+          ◎
+        </div>
+        <div>
+          <h1 style={{ margin: 0, fontSize: '18px', fontWeight: 700, letterSpacing: '-0.3px' }}>Resolutions</h1>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <span style={{
+              color: syncStatusDisplay.color,
+              fontSize: '14px',
+              display: 'inline-flex',
+              animation: syncStatus === 'syncing' ? 'spin 1s linear infinite' : 'none'
+            }}>
+              {syncStatusDisplay.icon}
+            </span>
+            <span style={{ fontSize: '11px', color: '#64748B' }}>{syncStatusDisplay.text}</span>
+          </div>
+        </div>
+      </div>
+
+      {/* Desktop Navigation */}
+      <nav className="desktop-nav">
+        {['dashboard', 'notion', 'zapier'].map(tab => (
+          <button
+            key={tab}
+            className={`tab-btn ${activeTab === tab ? 'active' : ''}`}
+            onClick={() => onTabChange(tab)}
+          >
+            {tab === 'dashboard' && '📊 Dashboard'}
+            {tab === 'notion' && '📝 Notion'}
+            {tab === 'zapier' && '⚡ Zapier'}
+          </button>
+        ))}
+      </nav>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <button className="btn-secondary" onClick={onSettings} title="Settings" style={{ padding: '10px 12px' }}>
+          ⚙️
+        </button>
+        {hasAccessToken() && (
+          <button className="btn-secondary" onClick={lock} title="Lock this device" style={{ padding: '10px 12px' }}>
+            🔒
+          </button>
+        )}
+        <button className="btn-primary" onClick={onAdd} style={{ padding: '10px 16px' }}>
+          <span style={{ fontSize: '18px' }}>+</span>
+          <span className="desktop-nav" style={{ display: 'none' }}>New Goal</span>
+        </button>
+      </div>
+    </header>
+  );
+};
+
+export default Header;
@@ -0,0 +1,21 @@
+// Bottom tab bar on small screens (the header has the desktop tabs)
+const MobileNav = ({ activeTab, onTabChange }) => (
+  <nav className="mobile-nav">
+    {[
+      { id: 'dashboard', icon: '📊', label: 'Dashboard' },
+      { id: 'notion', icon: '📝', label: 'Notion' },
+      { id: 'zapier', icon: '⚡', label: 'Zapier' },
+    ].map(item => (
+      <button
+        key={item.id}
+        className={`nav-item ${activeTab === item.id ? 'active' : ''}`}
+        onClick={() => onTabChange(item.id)}
+      >
+        <span style={{ fontSize: '20px' }}>{item.icon}</span>
+        <span>{item.label}</span>
+      </button>
+    ))}
+  </nav>
+);
+
+export default MobileNav;
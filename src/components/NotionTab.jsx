@@ -0,0 +1,301 @@
+import { useState } from 'react';
+import { useResolutions } from '../store/context';
+
+// Connection status, the database setup check and the Notion setup guide
+const NotionTab = () => {
+  const { syncStatus, fetchResolutions, checkSchema } = useResolutions();
+  const [schemaReport, setSchemaReport] = useState(null);
+  const [isCheckingSchema, setIsCheckingSchema] = useState(false);
+
+  // Check the Notion database for missing or mistyped properties; `provision`
+  // creates the missing ones
+  const verifySetup = async (provision = false) => {
+    setIsCheckingSchema(true);
+    setSchemaReport(await checkSchema(provision));
+    setIsCheckingSchema(false);
+  };
+
+  return (
+    <div style={{ maxWidth: '800px' }}>
+      <div style={{ marginBottom: '28px' }}>
+        <h2 style={{ fontSize: '24px', fontWeight: 700, marginBottom: '8px' }}>📝 Notion Setup</h2>
+        <p style={{ color: '#94A3B8', fontSize: '15px', lineHeight: 1.6 }}>
+          Connect to Notion for structured tracking and sync across devices.
+        </p>
+      </div>
+
+      {/* Connection Status */}
+      <div className="integration-card" style={{ marginBottom: '16px', borderColor: syncStatus === 'synced' ? 'rgba(34, 197, 94, 0.3)' : 'rgba(255, 255, 255, 0.06)' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <div style={{
+            width: '40px',
+            height: '40px',
+            borderRadius: '10px',
+            background: syncStatus === 'synced' ? 'rgba(34, 197, 94, 0.15)' : 'rgba(100, 116, 139, 0.15)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            fontSize: '20px'
+          }}>
+            {syncStatus === 'synced' ? '✓' : '○'}
+          </div>
+          <div>
+            <h4 style={{ margin: 0, fontSize: '15px', fontWeight: 600 }}>
+              {syncStatus === 'synced' ? 'Connected to Notion' : 'Not Connected'}
+            </h4>
+            <p style={{ margin: '2px 0 0', fontSize: '13px', color: '#64748B' }}>
+              {syncStatus === 'synced'
+                ? 'Your resolutions are syncing with Notion'
+                : 'Set up the API to enable sync'}
+            </p>
+          </div>
+          {syncStatus !== 'synced' && (
+            <button
+              className="btn-secondary"
+              style={{ marginLeft: 'auto', padding: '8px 16px', fontSize: '13px' }}
+              onClick={fetchResolutions}
+            >
+              Retry Connection
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Schema Check */}
+      <div className="integration-card" style={{ marginBottom: '16px', borderColor: schemaReport?.ok ? 'rgba(34, 197, 94, 0.3)' : 'rgba(255, 255, 255, 0.06)' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <div>
+            <h4 style={{ margin: 0, fontSize: '15px', fontWeight: 600 }}>Database Setup</h4>
+            <p style={{ margin: '2px 0 0', fontSize: '13px', color: '#64748B' }}>
+              Check that every property the app uses exists with the right type
+            </p>
+          </div>
+          <button
+            className="btn-secondary"
+            style={{ marginLeft: 'auto', padding: '8px 16px', fontSize: '13px' }}
+            onClick={() => verifySetup()}
+            disabled={isCheckingSchema}
+          >
+            {isCheckingSchema ? 'Checking...' : 'Verify setup'}
+          </button>
+        </div>
+
+        {schemaReport?.error && (
+          <p style={{ margin: '12px 0 0', fontSize: '13px', color: '#FCA5A5' }}>
+            ⚠️ {schemaReport.error.message}
+          </p>
+        )}
+
+        {schemaReport?.backend === 'file' && (
+          <p style={{ margin: '12px 0 0', fontSize: '13px', color: '#94A3B8' }}>
+            ✓ The API stores resolutions in a local file, so there is no Notion database to check.
+          </p>
+        )}
+
+        {schemaReport?.databases?.map(database => (
+          <div key={database.id} style={{ marginTop: '14px' }}>
+            <div style={{ fontSize: '13px', fontWeight: 600, marginBottom: '6px' }}>
+              {database.ok ? '✓' : '✗'} {database.title || database.name}
+              <span style={{ color: '#64748B', fontWeight: 400 }}> ({database.name})</span>
+            </div>
+            {database.properties.map(property => (
+              <div key={property.property} style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', fontSize: '13px', padding: '3px 0', color: property.status === 'ok' ? '#94A3B8' : '#FCA5A5' }}>
+                <span>{property.status === 'ok' ? '✓' : '✗'} {property.property}</span>
+                <span>
+                  {property.status === 'ok' && property.type}
+                  {property.status === 'missing' && `missing (${property.type})`}
+                  {property.status === 'wrong_type' && `is ${property.actual}, expected ${property.type}`}
+                </span>
+              </div>
+            ))}
+            {database.created.length > 0 && (
+              <p style={{ margin: '6px 0 0', fontSize: '12px', color: '#86EFAC' }}>
+                Created: {database.created.join(', ')}
+              </p>
+            )}
+          </div>
+        ))}
+
+        {schemaReport?.databases?.some(d => d.properties.some(p => p.status === 'missing')) && (
+          <button
+            className="btn-primary"
+            style={{ marginTop: '14px', padding: '8px 16px', fontSize: '13px' }}
+            onClick={() => verifySetup(true)}
+            disabled={isCheckingSchema}
+          >
+            Create missing properties
+          </button>
+        )}
+
+        {schemaReport?.databases?.some(d => d.properties.some(p => p.status === 'wrong_type')) && (
+          <p style={{ margin: '10px 0 0', fontSize: '12px', color: '#64748B' }}>
+            Mistyped properties aren't changed automatically. Change their type in Notion,
+            or point NOTION_PROPERTY_MAP at them with their current type.
+          </p>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+        <div className="integration-card">
+          <h3 style={{ fontSize: '16px', fontWeight: 600, marginBottom: '16px', display: 'flex', alignItems: 'center', gap: '10px' }}>
+            <span className="step-number">1</span>
+            Create Database Schema
+          </h3>
+          <p style={{ color: '#94A3B8', fontSize: '14px', marginBottom: '12px' }}>
+            Create a Notion database with these column names (an existing database with
+            different names works too: map them with NOTION_PROPERTY_MAP, see DEPLOYMENT.md):
+          </p>
+          <div className="code-block">
+            <pre style={{ margin: 0, whiteSpace: 'pre-wrap' }}>{`Properties:
+• Resolution (Title) - required
+• Category (Select): Personal Growth, Health, Finance, Wellness, Career, Relationships
+• Target (Number)
+• Current Progress (Number)
+• Unit (Text): books, sessions, dollars, days, times, lessons
+• Frequency (Select): daily, weekly, monthly, yearly
+• Streak (Number)
+• Last Check-in (Date)
+• Step (Number)`}</pre>
+          </div>
+          <p style={{ color: '#94A3B8', fontSize: '14px', margin: '12px 0' }}>
+            Optional: a second database for the check-in history log, related to the first:
+          </p>
+          <div className="code-block">
+            <pre style={{ margin: 0, whiteSpace: 'pre-wrap' }}>{`Properties:
+• Check-in (Title)
+• Resolution (Relation → Resolutions database)
+• Date (Date)
+• Amount (Number)
+• Progress (Number)`}</pre>
+          </div>
+        </div>
+
+        <div className="integration-card">
+          <h3 style={{ fontSize: '16px', fontWeight: 600, marginBottom: '16px', display: 'flex', alignItems: 'center', gap: '10px' }}>
+            <span className="step-number">2</span>
+            Create Integration & Get Credentials
+          </h3>
+          <ol style={{ color: '#94A3B8', lineHeight: 1.8, paddingLeft: '18px', margin: 0, fontSize: '14px' }}>
+            <li>Go to <strong style={{ color: '#E2E8F0' }}>notion.so/my-integrations</strong></li>
+            <li>Click "New integration" → Name it "Resolution Tracker"</li>
+            <li>Copy the <strong style={{ color: '#A5B4FC' }}>Internal Integration Token</strong></li>
+            <li>Open your database → Click "..." → "Add connections"</li>
+            <li>Select your integration</li>
+            <li>Copy the <strong style={{ color: '#A5B4FC' }}>Database ID</strong> from the URL</li>
+          </ol>
+        </div>
+
+        <div className="integration-card">
+          <h3 style={{ fontSize: '16px', fontWeight: 600, marginBottom: '16px', display: 'flex', alignItems: 'center', gap: '10px' }}>
+            <span className="step-number">3</span>
+            Add to Environment Variables
+          </h3>
+          <p style={{ color: '#94A3B8', fontSize: '14px', marginBottom: '12px' }}>
+            Create a <code style={{ background: 'rgba(0,0,0,0.3)', padding: '2px 6px', borderRadius: '4px' }}>.env</code> file in your project root:
+          </p>
+          <div className="code-block">
+            <pre style={{ margin: 0 }}>{`VITE_NOTION_API_KEY=secret_xxxxxxxxxxxxx
+VITE_NOTION_DATABASE_ID=your-database-id`}</pre>
+          </div>
+        </div>
+
+        <div className="integration-card">
+          <h3 style={{ fontSize: '16px', fontWeight: 600, marginBottom: '16px', display: 'flex', alignItems: 'center', gap: '10px' }}>
+            <span className="step-number">4</span>
+            Deploy API Route (Required)
+          </h3>
+          <p style={{ color: '#94A3B8', fontSize: '14px', marginBottom: '12px' }}>
+            Notion's API doesn't allow direct browser requests (CORS). You need a serverless function. Create this file:
+          </p>
+          <div className="code-block">
+            <pre style={{ margin: 0, whiteSpace: 'pre-wrap' }}>{`// api/notion/resolutions.js (Vercel serverless function)
+
+const NOTION_API = 'https://api.notion.com/v1';
+
+export default async function handler(req, res) {
+  const headers = {
+    'Authorization': \`Bearer \${process.env.NOTION_API_KEY}\`,
+    'Notion-Version': '2022-06-28',
+    'Content-Type': 'application/json',
+  };
+
+  // GET - Fetch all resolutions
+  if (req.method === 'GET') {
+    const response = await fetch(
+      \`\${NOTION_API}/databases/\${process.env.NOTION_DATABASE_ID}/query\`,
+      { method: 'POST', headers }
+    );
+    const data = await response.json();
+
+    const resolutions = data.results.map(page => ({
+      id: page.id,
+      notionPageId: page.id,
+      title: page.properties['Resolution']?.title[0]?.plain_text || '',
+      category: page.properties['Category']?.select?.name || 'Personal Growth',
+      target: page.properties['Target']?.number || 0,
+      current: page.properties['Current Progress']?.number || 0,
+      unit: page.properties['Unit']?.rich_text[0]?.plain_text || 'times',
+      frequency: page.properties['Frequency']?.select?.name || 'weekly',
+      streak: page.properties['Streak']?.number || 0,
+      lastCheckin: page.properties['Last Check-in']?.date?.start || '',
+    }));
+
+    return res.json(resolutions);
+  }
+
+  // PATCH - Update resolution
+  if (req.method === 'PATCH') {
+    const { pageId, updates } = req.body;
+
+    const properties = {};
+    if (updates.current !== undefined) {
+      properties['Current Progress'] = { number: updates.current };
+    }
+    if (updates.lastCheckin) {
+      properties['Last Check-in'] = { date: { start: updates.lastCheckin } };
+    }
+
+    const response = await fetch(\`\${NOTION_API}/pages/\${pageId}\`, {
+      method: 'PATCH',
+      headers,
+      body: JSON.stringify({ properties })
+    });
+
+    return res.json(await response.json());
+  }
+
+  // POST - Create resolution
+  if (req.method === 'POST') {
+    const data = req.body;
+
+    const response = await fetch(\`\${NOTION_API}/pages\`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        parent: { database_id: process.env.NOTION_DATABASE_ID },
+        properties: {
+          'Resolution': { title: [{ text: { content: data.title } }] },
+          'Category': { select: { name: data.category } },
+          'Target': { number: data.target },
+          'Current Progress': { number: data.current || 0 },
+          'Unit': { rich_text: [{ text: { content: data.unit } }] },
+          'Frequency': { select: { name: data.frequency } },
+          'Streak': { number: data.streak || 0 },
+          'Last Check-in': { date: { start: data.lastCheckin } },
+        }
+      })
+    });
+
+    return res.json(await response.json());
+  }
+
+  res.status(405).json({ error: 'Method not allowed' });
+}`}</pre>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NotionTab;
@@ -0,0 +1,110 @@
+import { todayKey } from '../utils/periods';
+import { paceSeries, periodTotals, periodLabel } from '../utils/charts';
+import { getPace, describeProjection } from '../utils/pace';
+import { PERIOD_LABELS } from '../utils/resolutions';
+
+const WIDTH = 300;
+const HEIGHT = 120;
+const PAD = 4;
+
+const sectionLabel = { margin: '0 0 8px', fontSize: '11px', color: '#64748B', textTransform: 'uppercase', letterSpacing: '0.5px' };
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Cumulative progress this period (solid) against the even pace to the target (dashed)
+const PaceChart = ({ resolution, entries, colors, today }) => {
+  const { days, target, points, expected } = paceSeries(resolution, entries, today);
+  const current = points[points.length - 1].value;
+  const projection = describeProjection(getPace(resolution, today), today);
+  const max = Math.max(target, current) || 1;
+  const x = (day) => PAD + (day / days) * (WIDTH - 2 * PAD);
+  const y = (value) => HEIGHT - PAD - (value / max) * (HEIGHT - 2 * PAD);
+
+  return (
+    <div style={{ marginBottom: '24px' }}>
+      <p style={sectionLabel}>Pace {PERIOD_LABELS[resolution.frequency]}</p>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        width="100%"
+        role="img"
+        aria-label={`${round(current)} of ${target} ${resolution.unit}, ${round(expected)} expected by today`}
+        style={{ display: 'block', background: 'rgba(255,255,255,0.03)', borderRadius: '12px' }}
+      >
+        <line x1={x(0)} y1={y(target)} x2={x(days)} y2={y(target)} stroke="rgba(255,255,255,0.08)" />
+        <line x1={x(0)} y1={y(0)} x2={x(days)} y2={y(target)} stroke="#64748B" strokeWidth="1.5" strokeDasharray="4 4" />
+        <polyline
+          points={points.map(p => `${x(p.day)},${y(p.value)}`).join(' ')}
+          fill="none"
+          stroke={colors.accent}
+          strokeWidth="2.5"
+          strokeLinejoin="round"
+          style={{ filter: `drop-shadow(0 0 4px ${colors.glow})` }}
+        />
+        <circle cx={x(points[points.length - 1].day)} cy={y(current)} r="3.5" fill={colors.accent} />
+      </svg>
+      <p style={{ margin: '6px 0 0', fontSize: '12px', color: current >= expected ? '#4ADE80' : '#94A3B8' }}>
+        {round(current)} {resolution.unit} so far · {round(expected)} expected by today at an even pace
+      </p>
+      {projection && <p style={{ margin: '2px 0 0', fontSize: '12px', color: '#64748B' }}>{projection}</p>}
+    </div>
+  );
+};
+
+// Total per period for the last few periods, with the target as a dashed line
+const PeriodBars = ({ resolution, entries, colors, today }) => {
+  const totals = periodTotals(resolution, entries, today);
+  const max = Math.max(resolution.target, ...totals.map(t => Math.max(t.value, t.target))) || 1;
+  const labelSpace = 14;
+  const plot = HEIGHT - labelSpace;
+  const slot = (WIDTH - 2 * PAD) / totals.length;
+  const y = (value) => plot - (value / max) * (plot - PAD);
+
+  return (
+    <div style={{ marginBottom: '24px' }}>
+      <p style={sectionLabel}>By period</p>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        width="100%"
+        role="img"
+        aria-label={`${resolution.frequency} totals: ${totals.map(t => round(t.value)).join(', ')}`}
+        style={{ display: 'block', background: 'rgba(255,255,255,0.03)', borderRadius: '12px' }}
+      >
+        {totals.map((t, i) => (
+          <g key={t.period}>
+            <rect
+              x={PAD + i * slot + slot * 0.2}
+              y={y(t.value)}
+              width={slot * 0.6}
+              height={plot - y(t.value)}
+              rx="3"
+              fill={colors.accent}
+              opacity={t.value >= t.target ? 1 : 0.45}
+            >
+              <title>{`${t.period}: ${round(t.value)} / ${t.target} ${resolution.unit}`}</title>
+            </rect>
+            <text x={PAD + (i + 0.5) * slot} y={HEIGHT - 3} textAnchor="middle" fill="#64748B" fontSize="9">
+              {periodLabel(t.period, resolution.frequency)}
+            </text>
+          </g>
+        ))}
+        <line x1={PAD} y1={y(resolution.target)} x2={WIDTH - PAD} y2={y(resolution.target)} stroke="#64748B" strokeDasharray="4 4" />
+      </svg>
+    </div>
+  );
+};
+
+// History charts for the detail view: a pace line for goals that span several
+// days, and per-period bars for goals that repeat often enough to compare
+const ProgressCharts = ({ resolution, entries, colors }) => {
+  const today = todayKey();
+  const { frequency } = resolution;
+
+  return (
+    <>
+      {frequency !== 'daily' && <PaceChart resolution={resolution} entries={entries} colors={colors} today={today} />}
+      {frequency !== 'yearly' && <PeriodBars resolution={resolution} entries={entries} colors={colors} today={today} />}
+    </>
+  );
+};
+
+export default ProgressCharts;
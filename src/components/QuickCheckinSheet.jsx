@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { useResolutions } from '../store/context';
+import { todayKey } from '../utils/periods';
+import { categoryColors, PERIOD_LABELS, getPeriodCurrent, getStep, isDueToday } from '../utils/resolutions';
+
+// The resolutions still due today, one tap each to log a step. Opened by the
+// "Quick Check-in" shortcut and reminder notifications (/?action=checkin).
+// Rows logged from here stay listed (marked ✓) rather than disappearing.
+const QuickCheckinSheet = ({ onClose }) => {
+  const { resolutions, isLoading, updateProgress, selectResolution } = useResolutions();
+  const [loggedHere, setLoggedHere] = useState(() => new Set());
+  const today = todayKey();
+  const due = resolutions.filter(r => isDueToday(r, today) || loggedHere.has(r.id));
+
+  const logStep = (resolution) => {
+    setLoggedHere(prev => new Set(prev).add(resolution.id));
+    updateProgress(resolution.id, getStep(resolution));
+  };
+
+  const openDetail = (id) => {
+    onClose();
+    selectResolution(id);
+  };
+
+  return (
+    <div className="modal-overlay animate-fadeIn" onClick={onClose}>
+      <div className="modal-content animate-slideUp" onClick={e => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+          <h2 style={{ margin: 0, fontSize: '20px', fontWeight: 700 }}>Check in</h2>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', color: '#64748B', fontSize: '24px', cursor: 'pointer', padding: '4px' }}
+          >×</button>
+        </div>
+
+        {due.length === 0 && (
+          <p style={{ margin: 0, fontSize: '14px', color: '#94A3B8' }}>
+            {isLoading && resolutions.length === 0 ? 'Loading your resolutions…' : 'Everything is checked in for today 🎉'}
+          </p>
+        )}
+
+        <ul style={{ listStyle: 'none', margin: 0, padding: 0, display: 'grid', gap: '10px' }}>
+          {due.map(resolution => {
+            const step = getStep(resolution);
+            const logged = resolution.lastCheckin === today;
+            const colors = categoryColors(resolution.category);
+
+            return (
+              <li
+                key={resolution.id}
+                style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '12px', borderRadius: '12px', background: 'rgba(255,255,255,0.03)' }}
+              >
+                <span style={{ width: '4px', alignSelf: 'stretch', borderRadius: '2px', background: colors.accent }} />
+                <button
+                  onClick={() => openDetail(resolution.id)}
+                  style={{ flex: 1, minWidth: 0, background: 'none', border: 'none', padding: 0, textAlign: 'left', color: 'inherit', cursor: 'pointer' }}
+                >
+                  <span style={{ display: 'block', fontSize: '14px', fontWeight: 600 }}>{resolution.title}</span>
+                  <span style={{ display: 'block', fontSize: '12px', color: '#64748B' }}>
+                    {getPeriodCurrent(resolution)} / {resolution.target} {resolution.unit} {PERIOD_LABELS[resolution.frequency]}
+                  </span>
+                </button>
+                <button
+                  className={logged ? 'btn-secondary' : 'btn-primary'}
+                  onClick={() => logStep(resolution)}
+                  aria-label={`Log ${step} ${resolution.unit} for ${resolution.title}`}
+                  style={{ padding: '8px 14px', whiteSpace: 'nowrap' }}
+                >
+                  {logged ? `✓ +${step}` : `+${step}`}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+
+        <button className="btn-secondary" onClick={onClose} style={{ width: '100%', marginTop: '24px' }}>
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QuickCheckinSheet;
@@ -0,0 +1,155 @@
+import { useResolutions } from '../store/context';
+import { computeStreak } from '../utils/streak';
+import { todayKey } from '../utils/periods';
+import { getPace, describeProjection, PACE_LABELS, PACE_COLORS } from '../utils/pace';
+import { categoryColors, PERIOD_LABELS, getPeriodCurrent, getProgress, getStep, confirmDelete } from '../utils/resolutions';
+
+// Dashboard card with the period progress, its pace and quick +/− buttons (one step each)
+const ResolutionCard = ({ resolution }) => {
+  const { updateProgress, deleteResolution, selectResolution } = useResolutions();
+  const progress = getProgress(resolution);
+  const streak = computeStreak(resolution);
+  const colors = categoryColors(resolution.category);
+  const step = getStep(resolution);
+  const today = todayKey();
+  const pace = getPace(resolution, today);
+  const projection = describeProjection(pace, today);
+
+  return (
+    <div
+      className="glass-card"
+      style={{ padding: '20px', cursor: 'pointer' }}
+      onClick={() => selectResolution(resolution.id)}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px' }}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px', flexWrap: 'wrap' }}>
+            <span style={{
+              padding: '4px 10px',
+              borderRadius: '16px',
+              fontSize: '10px',
+              fontWeight: 600,
+              background: colors.bg,
+              color: colors.text,
+              textTransform: 'uppercase',
+              letterSpacing: '0.3px',
+            }}>
+              {resolution.category}
+            </span>
+            <span style={{
+              padding: '4px 8px',
+              borderRadius: '16px',
+              fontSize: '10px',
+              fontWeight: 600,
+              background: PACE_COLORS[pace.status].bg,
+              color: PACE_COLORS[pace.status].text
+            }}>
+              {PACE_LABELS[pace.status]}
+            </span>
+            {streak >= 7 && (
+              <span style={{
+                padding: '4px 8px',
+                borderRadius: '16px',
+                fontSize: '10px',
+                fontWeight: 600,
+                background: 'rgba(236, 72, 153, 0.15)',
+                color: '#F472B6'
+              }}>
+                🔥 {streak}d
+              </span>
+            )}
+            {!resolution.notionPageId && (
+              <span style={{
+                padding: '4px 8px',
+                borderRadius: '16px',
+                fontSize: '10px',
+                fontWeight: 600,
+                background: 'rgba(100, 116, 139, 0.15)',
+                color: '#94A3B8'
+              }}>
+                Local
+              </span>
+            )}
+          </div>
+          <h3 style={{ margin: '0 0 4px', fontSize: '16px', fontWeight: 600, lineHeight: 1.3 }}>{resolution.title}</h3>
+          <p style={{ margin: 0, fontSize: '13px', color: '#64748B' }}>
+            {getPeriodCurrent(resolution)} / {resolution.target} {resolution.unit} {PERIOD_LABELS[resolution.frequency]}
+          </p>
+          {projection && (
+            <p style={{ margin: '2px 0 0', fontSize: '12px', color: '#475569' }}>{projection}</p>
+          )}
+        </div>
+
+        {/* Circular Progress */}
+        <svg width="56" height="56" viewBox="0 0 56 56" className="progress-ring" style={{ flexShrink: 0 }}>
+          <circle cx="28" cy="28" r="24" fill="none" stroke="rgba(255,255,255,0.06)" strokeWidth="5" />
+          <circle
+            cx="28" cy="28" r="24"
+            fill="none"
+            stroke={colors.accent}
+            strokeWidth="5"
+            strokeLinecap="round"
+            strokeDasharray={`${progress * 1.508} 150.8`}
+            style={{ filter: `drop-shadow(0 0 6px ${colors.glow})` }}
+          />
+          <text
+            x="28" y="28"
+            textAnchor="middle"
+            dominantBaseline="middle"
+            fill="#E2E8F0"
+            fontSize="12"
+            fontWeight="700"
+            style={{ transform: 'rotate(90deg)', transformOrigin: '28px 28px' }}
+          >
+            {Math.round(progress)}%
+          </text>
+        </svg>
+      </div>
+
+      {/* Progress Bar */}
+      <div style={{
+        height: '6px',
+        background: 'rgba(255, 255, 255, 0.06)',
+        borderRadius: '3px',
+        overflow: 'hidden',
+        marginBottom: '16px',
+      }}>
+        <div style={{
+          height: '100%',
+          width: `${progress}%`,
+          background: `linear-gradient(90deg, ${colors.accent}, ${colors.accent}99)`,
+          borderRadius: '3px',
+          transition: 'width 0.4s ease',
+        }} />
+      </div>
+
+      {/* Action Buttons */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }} onClick={e => e.stopPropagation()}>
+        <button className="increment-btn" title={`Remove ${step} ${resolution.unit}`} onClick={() => updateProgress(resolution.id, -step)}>−</button>
+        <button className="increment-btn" title={`Add ${step} ${resolution.unit}`} onClick={() => updateProgress(resolution.id, step)}>+</button>
+        <button
+          className="increment-btn"
+          onClick={() => confirmDelete(resolution) && deleteResolution(resolution.id)}
+          style={{
+            background: 'rgba(239, 68, 68, 0.15)',
+            border: '1px solid rgba(239, 68, 68, 0.3)',
+            color: '#F87171',
+            marginLeft: 'auto'
+          }}
+          onMouseEnter={(e) => {
+            e.target.style.background = 'rgba(239, 68, 68, 0.25)';
+            e.target.style.borderColor = 'rgba(239, 68, 68, 0.5)';
+          }}
+          onMouseLeave={(e) => {
+            e.target.style.background = 'rgba(239, 68, 68, 0.15)';
+            e.target.style.borderColor = 'rgba(239, 68, 68, 0.3)';
+          }}
+        >
+          🗑️
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ResolutionCard;
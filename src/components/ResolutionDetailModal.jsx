@@ -0,0 +1,202 @@
+import { useState } from 'react';
+import { useResolutions } from '../store/context';
+import { rollOverPeriod } from '../utils/periods';
+import { computeStreak } from '../utils/streak';
+import { categoryColors, getPeriodCurrent, getProgress, confirmDelete } from '../utils/resolutions';
+import { chartEntries } from '../utils/charts';
+import { resolutionLink } from '../utils/links';
+import CheckinEntry from './CheckinEntry';
+import ProgressCharts from './ProgressCharts';
+
+// Full view of the selected resolution with its charts, history and check-in log
+const ResolutionDetailModal = ({ onEdit }) => {
+  const { selectedResolution, checkinHistory, deleteResolution, selectResolution } = useResolutions();
+  const colors = categoryColors(selectedResolution.category);
+  const close = () => selectResolution(null);
+  const entries = chartEntries(selectedResolution, checkinHistory);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // Link straight to this view (it opens once the resolution is loaded)
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${resolutionLink(selectedResolution.id)}`);
+      setLinkCopied(true);
+    } catch (error) {
+      console.error('Copying the link failed:', error);
+    }
+  };
+
+  return (
+    <div className="detail-overlay animate-fadeIn" onClick={close}>
+      <div className="detail-card animate-slideUp" onClick={e => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '20px' }}>
+          <div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+              <span style={{
+                padding: '4px 12px',
+                borderRadius: '16px',
+                fontSize: '11px',
+                fontWeight: 600,
+                background: colors.bg,
+                color: colors.text,
+                textTransform: 'uppercase',
+              }}>
+                {selectedResolution.category}
+              </span>
+              {selectedResolution.notionPageId && (
+                <span style={{
+                  padding: '4px 8px',
+                  borderRadius: '16px',
+                  fontSize: '10px',
+                  fontWeight: 600,
+                  background: 'rgba(34, 197, 94, 0.15)',
+                  color: '#4ADE80'
+                }}>
+                  Synced
+                </span>
+              )}
+            </div>
+            <h2 style={{ margin: '0 0 4px', fontSize: '22px', fontWeight: 700 }}>{selectedResolution.title}</h2>
+            <p style={{ margin: 0, color: '#64748B', fontSize: '14px' }}>{selectedResolution.frequency} goal</p>
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+            <button
+              onClick={copyLink}
+              title={linkCopied ? 'Link copied' : 'Copy link'}
+              style={{ background: 'none', border: 'none', color: '#64748B', fontSize: '18px', cursor: 'pointer', padding: '4px' }}
+            >{linkCopied ? '✓' : '🔗'}</button>
+            <button
+              onClick={onEdit}
+              title="Edit resolution"
+              style={{ background: 'none', border: 'none', color: '#64748B', fontSize: '18px', cursor: 'pointer', padding: '4px' }}
+            >✏️</button>
+            <button
+              onClick={close}
+              style={{ background: 'none', border: 'none', color: '#64748B', fontSize: '28px', cursor: 'pointer' }}
+            >×</button>
+          </div>
+        </div>
+
+        {/* Large Progress Display */}
+        <div style={{ display: 'flex', justifyContent: 'center', marginBottom: '24px' }}>
+          <svg width="140" height="140" viewBox="0 0 140 140" className="progress-ring">
+            <circle cx="70" cy="70" r="60" fill="none" stroke="rgba(255,255,255,0.06)" strokeWidth="10" />
+            <circle
+              cx="70" cy="70" r="60"
+              fill="none"
+              stroke={colors.accent}
+              strokeWidth="10"
+              strokeLinecap="round"
+              strokeDasharray={`${getProgress(selectedResolution) * 3.77} 377`}
+              style={{ filter: `drop-shadow(0 0 12px ${colors.glow})` }}
+            />
+            <text
+              x="70" y="65"
+              textAnchor="middle"
+              fill="#E2E8F0"
+              fontSize="32"
+              fontWeight="800"
+              style={{ transform: 'rotate(90deg)', transformOrigin: '70px 70px' }}
+            >
+              {Math.round(getProgress(selectedResolution))}%
+            </text>
+            <text
+              x="70" y="88"
+              textAnchor="middle"
+              fill="#64748B"
+              fontSize="13"
+              style={{ transform: 'rotate(90deg)', transformOrigin: '70px 70px' }}
+            >
+              complete
+            </text>
+          </svg>
+        </div>
+
+        {/* Stats Grid */}
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '12px', marginBottom: '24px' }}>
+          <div style={{ textAlign: 'center', padding: '12px', background: 'rgba(255,255,255,0.03)', borderRadius: '12px' }}>
+            <p style={{ margin: 0, fontSize: '20px', fontWeight: 700 }}>{getPeriodCurrent(selectedResolution)}</p>
+            <p style={{ margin: '4px 0 0', fontSize: '11px', color: '#64748B' }}>Current</p>
+          </div>
+          <div style={{ textAlign: 'center', padding: '12px', background: 'rgba(255,255,255,0.03)', borderRadius: '12px' }}>
+            <p style={{ margin: 0, fontSize: '20px', fontWeight: 700 }}>{selectedResolution.target}</p>
+            <p style={{ margin: '4px 0 0', fontSize: '11px', color: '#64748B' }}>Target</p>
+          </div>
+          <div style={{ textAlign: 'center', padding: '12px', background: 'rgba(255,255,255,0.03)', borderRadius: '12px' }}>
+            <p style={{ margin: 0, fontSize: '20px', fontWeight: 700, color: '#F472B6' }}>🔥 {computeStreak(selectedResolution)}</p>
+            <p style={{ margin: '4px 0 0', fontSize: '11px', color: '#64748B' }}>Streak</p>
+          </div>
+        </div>
+
+        <ProgressCharts resolution={selectedResolution} entries={entries} colors={colors} />
+
+        {/* Previous Years (shorter periods are in the bar chart) */}
+        {selectedResolution.frequency === 'yearly' && (rollOverPeriod(selectedResolution).history || []).length > 0 && (
+          <div style={{ marginBottom: '24px' }}>
+            <p style={{ margin: '0 0 8px', fontSize: '11px', color: '#64748B', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Previous years</p>
+            {rollOverPeriod(selectedResolution).history.slice(-3).reverse().map(entry => (
+              <div key={entry.period} style={{ display: 'flex', justifyContent: 'space-between', padding: '8px 0', fontSize: '13px', borderTop: '1px solid rgba(255,255,255,0.04)' }}>
+                <span style={{ color: '#94A3B8' }}>{entry.period.slice(0, 4)}</span>
+                <span style={{ fontWeight: 600, color: entry.value >= entry.target ? '#4ADE80' : '#E2E8F0' }}>
+                  {entry.value} / {entry.target} {selectedResolution.unit}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Check-in Log */}
+        {entries.length > 0 && (
+          <div style={{ marginBottom: '24px' }}>
+            <p style={{ margin: '0 0 8px', fontSize: '11px', color: '#64748B', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Recent check-ins</p>
+            {entries.slice(0, 5).map((entry, i) => (
+              <div key={entry.id || `${entry.date}-${i}`} style={{ display: 'flex', justifyContent: 'space-between', padding: '8px 0', fontSize: '13px', borderTop: '1px solid rgba(255,255,255,0.04)' }}>
+                <span style={{ color: '#94A3B8' }}>{entry.date}</span>
+                <span style={{ fontWeight: 600, color: entry.amount > 0 ? '#4ADE80' : '#F87171' }}>
+                  {entry.amount > 0 ? '+' : ''}{entry.amount} {selectedResolution.unit}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Check-in Controls */}
+        <CheckinEntry resolution={selectedResolution} />
+
+        {/* Delete Button */}
+        <button
+          onClick={() => confirmDelete(selectedResolution) && deleteResolution(selectedResolution.id)}
+          style={{
+            width: '100%',
+            padding: '12px',
+            marginBottom: '16px',
+            background: 'rgba(239, 68, 68, 0.15)',
+            border: '1px solid rgba(239, 68, 68, 0.3)',
+            borderRadius: '12px',
+            color: '#F87171',
+            fontSize: '14px',
+            fontWeight: 500,
+            cursor: 'pointer',
+            transition: 'all 0.2s'
+          }}
+          onMouseEnter={(e) => {
+            e.target.style.background = 'rgba(239, 68, 68, 0.25)';
+            e.target.style.borderColor = 'rgba(239, 68, 68, 0.5)';
+          }}
+          onMouseLeave={(e) => {
+            e.target.style.background = 'rgba(239, 68, 68, 0.15)';
+            e.target.style.borderColor = 'rgba(239, 68, 68, 0.3)';
+          }}
+        >
+          🗑️ Delete Resolution
+        </button>
+
+        <p style={{ margin: 0, textAlign: 'center', fontSize: '12px', color: '#475569' }}>
+          Last updated: {selectedResolution.lastCheckin || 'Never'}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ResolutionDetailModal;
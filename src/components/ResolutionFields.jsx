@@ -0,0 +1,85 @@
+import { CATEGORIES } from '../utils/resolutions';
+
+// Shared title/category/target/unit/frequency/step fields for the add and edit forms.
+// The step is how much the +/− buttons move progress.
+const ResolutionFields = ({ values, onChange, errors = {} }) => (
+  <div style={{ display: 'flex', flexDirection: 'column', gap: '14px' }}>
+    <div>
+      <label style={{ display: 'block', marginBottom: '6px', fontSize: '13px', color: '#94A3B8' }}>Title</label>
+      <input
+        type="text"
+        className="input-field"
+        placeholder="e.g., Read 24 books"
+        value={values.title}
+        onChange={e => onChange({ ...values, title: e.target.value })}
+      />
+      {errors.title && <p style={{ margin: '6px 0 0', fontSize: '12px', color: '#F87171' }}>{errors.title}</p>}
+    </div>
+
+    <div>
+      <label style={{ display: 'block', marginBottom: '6px', fontSize: '13px', color: '#94A3B8' }}>Category</label>
+      <select
+        className="input-field"
+        value={values.category}
+        onChange={e => onChange({ ...values, category: e.target.value })}
+      >
+        {CATEGORIES.map(cat => <option key={cat} value={cat}>{cat}</option>)}
+      </select>
+    </div>
+
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+      <div>
+        <label style={{ display: 'block', marginBottom: '6px', fontSize: '13px', color: '#94A3B8' }}>Target</label>
+        <input
+          type="number"
+          className="input-field"
+          value={values.target}
+          onChange={e => onChange({ ...values, target: e.target.value === '' ? '' : Number(e.target.value) })}
+        />
+        {errors.target && <p style={{ margin: '6px 0 0', fontSize: '12px', color: '#F87171' }}>{errors.target}</p>}
+      </div>
+      <div>
+        <label style={{ display: 'block', marginBottom: '6px', fontSize: '13px', color: '#94A3B8' }}>Unit</label>
+        <input
+          type="text"
+          className="input-field"
+          placeholder="books, miles..."
+          value={values.unit}
+          onChange={e => onChange({ ...values, unit: e.target.value })}
+        />
+        {errors.unit && <p style={{ margin: '6px 0 0', fontSize: '12px', color: '#F87171' }}>{errors.unit}</p>}
+      </div>
+    </div>
+
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+      <div>
+        <label style={{ display: 'block', marginBottom: '6px', fontSize: '13px', color: '#94A3B8' }}>Frequency</label>
+        <select
+          className="input-field"
+          value={values.frequency}
+          onChange={e => onChange({ ...values, frequency: e.target.value })}
+        >
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+          <option value="yearly">Yearly</option>
+        </select>
+      </div>
+      <div>
+        <label htmlFor="resolution-step" style={{ display: 'block', marginBottom: '6px', fontSize: '13px', color: '#94A3B8' }}>Step</label>
+        <input
+          id="resolution-step"
+          type="number"
+          min="0"
+          step="any"
+          className="input-field"
+          value={values.step}
+          onChange={e => onChange({ ...values, step: e.target.value === '' ? '' : Number(e.target.value) })}
+        />
+        {errors.step && <p style={{ margin: '6px 0 0', fontSize: '12px', color: '#F87171' }}>{errors.step}</p>}
+      </div>
+    </div>
+  </div>
+);
+
+export default ResolutionFields;
@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { useResolutions } from '../store/context';
+import { push } from '../services/push';
+import { deviceTimeZone, todayKey } from '../utils/periods';
+
+// Every zone the browser knows, for the time zone picker
+const TIME_ZONES = Intl.supportedValuesOf?.('timeZone') || [];
+
+const labelStyle = { display: 'block', marginBottom: '6px', fontSize: '13px', color: '#94A3B8' };
+const hintStyle = { margin: '8px 0 0', fontSize: '12px', color: '#64748B', lineHeight: 1.5 };
+
+// Daily push reminder: on/off and the time it arrives. Turning it on asks for
+// notification permission and registers this browser with the API.
+const ReminderSettings = () => {
+  const { settings, setReminders, updateSettings } = useResolutions();
+  const [time, setTime] = useState(settings.reminderTime);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const supported = push.supported();
+
+  const apply = async (changes) => {
+    setBusy(true);
+    setError(await setReminders(changes));
+    setBusy(false);
+  };
+
+  const changeTime = (value) => {
+    setTime(value);
+    if (!value) return;
+    if (settings.reminders) {
+      apply({ reminders: true, reminderTime: value });
+    } else {
+      updateSettings({ reminderTime: value });
+    }
+  };
+
+  const showTest = async () => {
+    try {
+      await push.showTest();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  let hint = 'A notification at this time lists the resolutions without a check-in that day.';
+  if (!supported) hint = "This browser can't show push notifications.";
+  if (error) hint = error;
+
+  return (
+    <div style={{ marginTop: '24px' }}>
+      <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
+        <input
+          id="settings-reminders"
+          type="checkbox"
+          checked={settings.reminders}
+          disabled={!supported || busy}
+          onChange={e => apply({ reminders: e.target.checked, reminderTime: time || settings.reminderTime })}
+        />
+        Daily check-in reminder
+      </label>
+      <label htmlFor="settings-reminder-time" style={labelStyle}>Remind me at</label>
+      <input
+        id="settings-reminder-time"
+        type="time"
+        className="input-field"
+        value={time}
+        disabled={!supported || busy}
+        onChange={e => changeTime(e.target.value)}
+      />
+      <p role={error ? 'alert' : undefined} style={{ ...hintStyle, color: error ? '#F87171' : hintStyle.color }}>{hint}</p>
+      {settings.reminders && (
+        <button className="btn-secondary" onClick={showTest} style={{ marginTop: '8px' }}>
+          Send a test notification
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Preferences stored on this device
+const SettingsModal = ({ onClose }) => {
+  const { settings, updateSettings } = useResolutions();
+
+  return (
+    <div className="modal-overlay animate-fadeIn" onClick={onClose}>
+      <div className="modal-content animate-slideUp" onClick={e => e.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+          <h2 style={{ margin: 0, fontSize: '20px', fontWeight: 700 }}>Settings</h2>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', color: '#64748B', fontSize: '24px', cursor: 'pointer', padding: '4px' }}
+          >×</button>
+        </div>
+
+        <label htmlFor="settings-time-zone" style={labelStyle}>Time zone</label>
+        <select
+          id="settings-time-zone"
+          className="input-field"
+          value={settings.timeZone}
+          onChange={e => updateSettings({ timeZone: e.target.value })}
+        >
+          <option value="">This device ({deviceTimeZone()})</option>
+          {TIME_ZONES.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+        </select>
+        <p style={hintStyle}>
+          Check-ins count toward the calendar day in this time zone. Today is {todayKey()}.
+        </p>
+
+        <ReminderSettings />
+
+        <button className="btn-primary" onClick={onClose} style={{ width: '100%', marginTop: '24px' }}>
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsModal;
@@ -0,0 +1,48 @@
+import { useResolutions } from '../store/context';
+import { FIELD_LABELS } from '../utils/resolutions';
+
+// Offline notice and the details of the last sync error
+const SyncBanners = () => {
+  const { isOnline, pendingUpdates, syncStatus, lastError } = useResolutions();
+
+  return (
+    <>
+      {/* Offline Banner */}
+      {!isOnline && (
+        <div style={{
+          background: 'linear-gradient(90deg, #DC2626, #B91C1C)',
+          color: 'white',
+          padding: '8px 16px',
+          textAlign: 'center',
+          fontSize: '13px',
+          fontWeight: 500
+        }}>
+          📴 You're offline. Changes will sync when connected.
+          {pendingUpdates.length > 0 && ` (${pendingUpdates.length} pending)`}
+        </div>
+      )}
+
+      {/* Sync Error Banner */}
+      {syncStatus === 'error' && lastError && (
+        <div style={{
+          background: 'rgba(239, 68, 68, 0.15)',
+          borderBottom: '1px solid rgba(239, 68, 68, 0.3)',
+          color: '#FCA5A5',
+          padding: '8px 16px',
+          textAlign: 'center',
+          fontSize: '13px',
+          fontWeight: 500
+        }}>
+          ⚠️ {lastError.message}
+          {lastError.fields && Object.entries(lastError.fields).map(([field, message]) => (
+            <div key={field} style={{ fontSize: '12px', fontWeight: 400 }}>
+              {FIELD_LABELS[field.replace(/^updates\./, '')] || field}: {message}
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default SyncBanners;
@@ -0,0 +1,48 @@
+import { useState } from 'react';
+import { useResolutions } from '../store/context';
+
+// Asks for the API access token when there is none or it was rejected
+const UnlockScreen = () => {
+  const { unlockFailed, unlock, continueWithoutSync } = useResolutions();
+  const [accessTokenInput, setAccessTokenInput] = useState('');
+
+  const submit = () => {
+    if (!accessTokenInput.trim()) return;
+    setAccessTokenInput('');
+    unlock(accessTokenInput.trim());
+  };
+
+  return (
+    <div className="modal-overlay animate-fadeIn">
+      <div className="modal-content animate-slideUp">
+        <div style={{ fontSize: '40px', textAlign: 'center', marginBottom: '12px' }}>🔐</div>
+        <h2 style={{ margin: '0 0 8px', fontSize: '20px', fontWeight: 700, textAlign: 'center' }}>Unlock Resolutions</h2>
+        <p style={{ margin: '0 0 20px', fontSize: '14px', color: '#94A3B8', lineHeight: 1.5, textAlign: 'center' }}>
+          Enter the access token for this tracker to sync with Notion.
+        </p>
+
+        <input
+          type="password"
+          className="input-field"
+          placeholder="Access token"
+          autoFocus
+          value={accessTokenInput}
+          onChange={e => setAccessTokenInput(e.target.value)}
+          onKeyDown={e => e.key === 'Enter' && submit()}
+        />
+        {unlockFailed && (
+          <p style={{ margin: '6px 0 0', fontSize: '12px', color: '#F87171' }}>That access token was rejected.</p>
+        )}
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginTop: '24px' }}>
+          <button className="btn-secondary" onClick={continueWithoutSync}>Use Offline</button>
+          <button className="btn-primary" onClick={submit} disabled={!accessTokenInput.trim()}>
+            Unlock
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockScreen;
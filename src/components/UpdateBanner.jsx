@@ -0,0 +1,42 @@
+import { useSyncExternalStore } from 'react';
+import { serviceWorker } from '../services/serviceWorker';
+
+const subscribe = (listener) => serviceWorker.subscribe(listener);
+const getWaiting = () => serviceWorker.waiting();
+
+// Offer to reload once a newly deployed version has installed in the background
+const UpdateBanner = () => {
+  const waiting = useSyncExternalStore(subscribe, getWaiting);
+  if (!waiting) return null;
+
+  return (
+    <div style={{
+      background: 'linear-gradient(90deg, #6366F1, #8B5CF6)',
+      color: 'white',
+      padding: '8px 16px',
+      textAlign: 'center',
+      fontSize: '13px',
+      fontWeight: 500
+    }}>
+      ✨ A new version is available.
+      <button
+        onClick={() => serviceWorker.applyUpdate()}
+        style={{
+          marginLeft: '12px',
+          padding: '4px 12px',
+          background: 'rgba(255, 255, 255, 0.2)',
+          border: '1px solid rgba(255, 255, 255, 0.4)',
+          borderRadius: '8px',
+          color: 'white',
+          fontSize: '13px',
+          fontWeight: 600,
+          cursor: 'pointer'
+        }}
+      >
+        Reload
+      </button>
+    </div>
+  );
+};
+
+export default UpdateBanner;
@@ -0,0 +1,286 @@
+// Service Worker for Resolution Tracker PWA
+//
+// Built by the service-worker plugin in vite.config.js, which bundles it
+// (with the modules it imports from src/) into one script and fills in
+// self.__PRECACHE_MANIFEST with the build's hashed files (plus public/) and
+// names the cache after their hash, so every deploy installs a new worker.
+// A new worker waits until the app's update prompt tells it to take over.
+// Queued offline changes are replayed here through Background Sync.
+//
+// The API is never cached here: the app keeps its own offline copy of the
+// resolutions (localStorage) and queue (IndexedDB), and a stale response
+// served from here would look like a successful sync.
+
+import { replayQueue } from './services/replayQueue.js';
+
+const { version, urls } = self.__PRECACHE_MANIFEST;
+const PRECACHE = `precache-${version}`;
+const RUNTIME_CACHE = 'runtime';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Install event - cache the app shell and build assets
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE).then((cache) => cache.addAll(urls))
+  );
+});
+
+// Activate event - drop the previous version's cache
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((cacheNames) => Promise.all(
+        cacheNames
+          .filter((name) => name.startsWith('precache-') && name !== PRECACHE)
+          .map((name) => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The update prompt asks a waiting worker to take over; the settings screen
+// asks for a sample reminder (src/services/push.js)
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  } else if (event.data?.type === 'SHOW_REMINDER') {
+    event.waitUntil(showReminder(event.data.message || {}));
+  }
+});
+
+// Fetch event - serve from cache or network
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  // Google Fonts: stale while revalidate
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+    return;
+  }
+
+  if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  // Pages: network first, then the cached app shell, then the offline page
+  if (request.mode === 'navigate') {
+    event.respondWith(navigate(request));
+    return;
+  }
+
+  // Build assets are hashed, so the cached copy is always right
+  event.respondWith(cacheFirst(request));
+});
+
+async function navigate(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    return (await caches.match('/', { cacheName: PRECACHE }))
+      || (await caches.match('/offline.html', { cacheName: PRECACHE }))
+      || Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    return await fetch(request);
+  } catch {
+    return new Response('Offline', { status: 503 });
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(request);
+
+  const fetched = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached || Response.error());
+
+  return cached || fetched;
+}
+
+// Background Sync: replay the offline queue the app left in IndexedDB
+self.addEventListener('sync', (event) => {
+  if (event.tag === 'sync-resolutions') {
+    event.waitUntil(withSyncLock(syncResolutions));
+  }
+});
+
+// Tabs replay the queue under the same lock (src/services/pendingQueue.js)
+function withSyncLock(replay) {
+  return self.navigator.locks ? self.navigator.locks.request('sync-resolutions', replay) : replay();
+}
+
+// Thrown for failures worth retrying (network, 5xx, 429); the browser calls
+// the sync handler again later. Other refusals stop the replay until a tab
+// picks the queue up and shows the error.
+class RetryLater extends Error {}
+
+// Replay queued operations with the app's own replay (services/replayQueue.js),
+// removing each from IndexedDB once it went through and flagging the one
+// Notion reports a conflict for, for the app to settle. Open tabs are told
+// what happened.
+async function syncResolutions() {
+  const db = await openDB();
+  const headers = await db.get('meta', 'requestHeaders');
+  const queue = (await db.getAll('pendingUpdates'))
+    .sort((a, b) => a.timestamp - b.timestamp || (a.id < b.id ? -1 : 1));
+  if (!headers || queue.length === 0) return;
+
+  let retry = null;
+
+  const { done, idMap, conflict } = await replayQueue(queue, async (op, { pageId, baseVersion }) => {
+    let response;
+    try {
+      if (op.type === 'create') {
+        response = await callApi('POST', headers, op.data);
+      } else if (op.type === 'delete') {
+        response = await callApi('DELETE', headers, { pageId });
+      } else {
+        response = await callApi('PATCH', headers, { pageId, updates: op.updates, checkin: op.checkin, baseVersion });
+      }
+    } catch (error) {
+      retry = new RetryLater(error.message);
+      return { ok: false };
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (response.status === 409) {
+      await db.put('pendingUpdates', { ...op, pageId, conflict: result.remote });
+      return { conflict: result.remote };
+    }
+    if (!response.ok) {
+      if (response.status >= 500 || response.status === 429) retry = new RetryLater(result.message);
+      return { ok: false };
+    }
+
+    await db.delete('pendingUpdates', op.id);
+    return { ok: true, result };
+  });
+
+  // Later operations on pages created here can now find them
+  if (Object.keys(idMap).length > 0) {
+    for (const op of await db.getAll('pendingUpdates')) {
+      if (!op.pageId && idMap[op.resolutionId]) {
+        await db.put('pendingUpdates', { ...op, pageId: idMap[op.resolutionId] });
+      }
+    }
+    const created = await db.get('meta', 'createdPages');
+    await db.put('meta', { ...created, ...idMap }, 'createdPages');
+  }
+
+  const conflicted = Boolean(conflict) || queue.some(op => op.conflict);
+  if (done.length > 0 || conflicted) {
+    const remaining = queue.length - done.length;
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clientList.forEach(client => client.postMessage({ type: 'queue-synced', done: done.length, remaining, conflict: conflicted }));
+  }
+
+  if (retry) throw retry;
+}
+
+function callApi(method, headers, body) {
+  return fetch('/api/notion/resolutions', {
+    method,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+// The app's IndexedDB database (see src/services/pendingQueue.js)
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('ResolutionTrackerDB', 2);
+
+    const run = (store, mode, makeRequest) => new Promise((res, rej) => {
+      const req = makeRequest(request.result.transaction(store, mode).objectStore(store));
+      req.onsuccess = () => res(req.result);
+      req.onerror = () => rej(req.error);
+    });
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve({
+      get: (store, key) => run(store, 'readonly', s => s.get(key)),
+      getAll: (store) => run(store, 'readonly', s => s.getAll()),
+      put: (store, value, key) => run(store, 'readwrite', s => s.put(value, key)),
+      delete: (store, key) => run(store, 'readwrite', s => s.delete(key)),
+    });
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('pendingUpdates')) {
+        db.createObjectStore('pendingUpdates', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('meta')) {
+        db.createObjectStore('meta');
+      }
+    };
+  });
+}
+
+// Push notifications: the daily reminders from api/push/reminders.js
+self.addEventListener('push', (event) => {
+  event.waitUntil(showReminder(event.data?.json() || {}));
+});
+
+function showReminder(data) {
+  const options = {
+    body: data.body || 'Time to check in on your resolutions!',
+    icon: '/vite.svg',
+    vibrate: [100, 50, 100],
+    data: {
+      url: data.url || '/',
+      timestamp: Date.now()
+    },
+    actions: [
+      { action: 'checkin', title: '✓ Check In' },
+      { action: 'dismiss', title: 'Later' }
+    ],
+    tag: 'resolution-reminder',
+    renotify: true
+  };
+
+  return self.registration.showNotification(data.title || 'Resolution Tracker', options);
+}
+
+// Notification click handler: "✓ Check In" opens the quick check-in sheet,
+// the notification itself opens its URL (the app reads ?action= on load)
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  if (event.action === 'dismiss') {
+    return;
+  }
+
+  const url = event.action === 'checkin' ? '/?action=checkin' : (event.notification.data?.url || '/');
+  event.waitUntil(openApp(url));
+});
+
+// Bring an open window of the app to `url` (just focusing it for the plain
+// app URL), or open a new one
+async function openApp(url) {
+  const clientList = await self.clients.matchAll({ type: 'window' });
+  const client = clientList.find((c) => new URL(c.url).origin === self.location.origin && 'focus' in c);
+  if (!client) {
+    return self.clients.openWindow(url);
+  }
+
+  await client.focus();
+  return url === '/' ? client : client.navigate(url);
+}
@@ -0,0 +1,254 @@
+import { storage } from './storage';
+import { getTimeZone } from '../utils/periods';
+
+// Notion API Service
+export const notionService = {
+  apiKey: import.meta.env.VITE_NOTION_API_KEY,
+  databaseId: import.meta.env.VITE_NOTION_DATABASE_ID,
+  
+  // Note: Direct Notion API calls from browser are blocked by CORS
+  // We'll use a proxy or serverless function in production
+  // For now, this sets up the structure for when we add the backend
+
+  // Shared access token for the API (API_ACCESS_TOKEN on the server), and the
+  // user's time zone so dates the API fills in fall on their calendar day
+  requestHeaders(headers = {}) {
+    const token = storage.get('accessToken');
+    const withZone = { ...headers, 'X-Time-Zone': getTimeZone() };
+    return token ? { ...withZone, 'Authorization': `Bearer ${token}` } : withZone;
+  },
+
+  // Most recent failure, in the API's error shape ({ code, message, fields })
+  lastError: null,
+
+  // Remember why a request failed; callers still just see null
+  fail(error) {
+    this.lastError = {
+      code: error?.code || 'unknown_error',
+      message: error?.message || 'Something went wrong talking to Notion',
+      fields: error?.fields || null,
+    };
+    return null;
+  },
+  
+  // `filters` ({ category, frequency, archived }) are applied by the API.
+  // Large databases may come back in several batches, chained by X-Next-Cursor.
+  async fetchResolutions(filters = {}) {
+    try {
+      const resolutions = [];
+      let cursor = null;
+
+      do {
+        const params = new URLSearchParams(filters);
+        if (cursor) params.set('cursor', cursor);
+        const query = params.toString();
+
+        const response = await fetch(`/api/notion/resolutions${query ? `?${query}` : ''}`, {
+          headers: this.requestHeaders()
+        });
+        const result = await response.json();
+        if (!response.ok) {
+          console.error('Failed to fetch resolutions:', result);
+          return this.fail(result);
+        }
+        resolutions.push(...result);
+        cursor = response.headers.get('X-Next-Cursor');
+      } while (cursor);
+
+      return resolutions;
+    } catch (error) {
+      console.error('Notion fetch error:', error);
+      return this.fail({ code: 'network_error', message: error.message });
+    }
+  },
+  
+  // `checkin` ({ date, amount }) is appended to the check-in log database.
+  // With a `baseVersion` the update is refused if the page changed since then,
+  // which resolves to { conflict: true, remote } instead of null.
+  async updateResolution(pageId, updates, checkin, baseVersion) {
+    try {
+      console.log('Updating resolution:', pageId, updates);
+      const response = await fetch('/api/notion/resolutions', {
+        method: 'PATCH',
+        headers: this.requestHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ pageId, updates, checkin, baseVersion })
+      });
+
+      const result = await response.json();
+      console.log('Update response:', response.status, result);
+
+      if (response.status === 409) {
+        return { conflict: true, remote: result.remote };
+      }
+
+      if (!response.ok) {
+        console.error('Failed to update resolution:', result);
+        return this.fail(result);
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Notion update error:', error);
+      return this.fail({ code: 'network_error', message: error.message });
+    }
+  },
+  
+  async fetchCheckins(pageId) {
+    try {
+      const response = await fetch(`/api/notion/checkins?pageId=${encodeURIComponent(pageId)}`, {
+        headers: this.requestHeaders()
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        console.error('Failed to fetch check-ins:', result);
+        return this.fail(result);
+      }
+      return result;
+    } catch (error) {
+      console.error('Notion check-in fetch error:', error);
+      return this.fail({ code: 'network_error', message: error.message });
+    }
+  },
+
+  // Every resolution's check-ins from `since` on, for the heatmap
+  async fetchActivity(since) {
+    try {
+      const response = await fetch(`/api/notion/checkins?since=${encodeURIComponent(since)}`, {
+        headers: this.requestHeaders()
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        console.error('Failed to fetch activity:', result);
+        return this.fail(result);
+      }
+      return result;
+    } catch (error) {
+      console.error('Notion activity fetch error:', error);
+      return this.fail({ code: 'network_error', message: error.message });
+    }
+  },
+
+  async createResolution(data) {
+    try {
+      console.log('Creating resolution:', data);
+      const response = await fetch('/api/notion/resolutions', {
+        method: 'POST',
+        headers: this.requestHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(data)
+      });
+
+      const result = await response.json();
+      console.log('Create response:', response.status, result);
+
+      if (!response.ok) {
+        console.error('Failed to create resolution:', result);
+        return this.fail(result);
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Notion create error:', error);
+      return this.fail({ code: 'network_error', message: error.message });
+    }
+  },
+
+  // Check the database schema; `provision` also creates missing properties
+  async checkSchema(provision = false) {
+    try {
+      const response = await fetch('/api/notion/schema', {
+        method: provision ? 'POST' : 'GET',
+        headers: this.requestHeaders()
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        console.error('Failed to check schema:', result);
+        return this.fail(result);
+      }
+      return result;
+    } catch (error) {
+      console.error('Notion schema check error:', error);
+      return this.fail({ code: 'network_error', message: error.message });
+    }
+  },
+
+  // VAPID public key for subscribing this browser to push reminders
+  async fetchPushKey() {
+    try {
+      const response = await fetch('/api/push/subscriptions', {
+        headers: this.requestHeaders()
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        console.error('Failed to fetch the push key:', result);
+        return this.fail(result);
+      }
+      return result.publicKey;
+    } catch (error) {
+      console.error('Push key fetch error:', error);
+      return this.fail({ code: 'network_error', message: error.message });
+    }
+  },
+
+  // `subscription` is PushSubscription.toJSON(); saving it again moves the reminder
+  async savePushSubscription(subscription, reminderTime, timeZone) {
+    try {
+      const response = await fetch('/api/push/subscriptions', {
+        method: 'POST',
+        headers: this.requestHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ subscription, reminderTime, timeZone })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        console.error('Failed to save the push subscription:', result);
+        return this.fail(result);
+      }
+      return result;
+    } catch (error) {
+      console.error('Push subscription save error:', error);
+      return this.fail({ code: 'network_error', message: error.message });
+    }
+  },
+
+  async deletePushSubscription(endpoint) {
+    try {
+      const response = await fetch('/api/push/subscriptions', {
+        method: 'DELETE',
+        headers: this.requestHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ endpoint })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        console.error('Failed to delete the push subscription:', result);
+        return this.fail(result);
+      }
+      return result;
+    } catch (error) {
+      console.error('Push subscription delete error:', error);
+      return this.fail({ code: 'network_error', message: error.message });
+    }
+  },
+
+  async deleteResolution(pageId) {
+    try {
+      console.log('Deleting resolution:', pageId);
+      const response = await fetch('/api/notion/resolutions', {
+        method: 'DELETE',
+        headers: this.requestHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ pageId })
+      });
+
+      const result = await response.json();
+      console.log('Delete response:', response.status, result);
+
+      if (!response.ok) {
+        console.error('Failed to delete resolution:', result);
+        return this.fail(result);
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Notion delete error:', error);
+      return this.fail({ code: 'network_error', message: error.message });
+    }
+  }
+};
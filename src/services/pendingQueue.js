@@ -0,0 +1,155 @@
+import { storage } from './storage';
+
+// Offline queue storage, shared with the service worker
+//
+// Queued operations live in the `pendingUpdates` store of the
+// ResolutionTrackerDB IndexedDB database (keyed by operation id), where the
+// worker's Background Sync handler can replay them while no tab is open. The
+// worker also reads the request headers (access token, time zone) from the
+// `meta` store, and records the pages it created there for the app to pick up.
+// src/service-worker.js opens the same database; keep the two in step.
+//
+// Without IndexedDB (old browsers, tests) the queue stays in localStorage.
+
+const DB_NAME = 'ResolutionTrackerDB';
+const DB_VERSION = 2;
+const SYNC_TAG = 'sync-resolutions';
+
+let dbPromise = null;
+
+const openDB = () => {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('pendingUpdates')) {
+        db.createObjectStore('pendingUpdates', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('meta')) {
+        db.createObjectStore('meta');
+      }
+    };
+  });
+  return dbPromise;
+};
+
+// Run `work(objectStore)` in one transaction; resolves with the value of the last request
+const transact = async (storeName, mode, work) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    const request = work(tx.objectStore(storeName));
+    if (request) request.onsuccess = () => { result = request.result; };
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+// Operations saved before they were typed only held updates
+const normalize = (ops) => ops.map((op, i) => (
+  op.type ? op : { id: `op-${op.timestamp}-${i}`, type: 'update', ...op }
+));
+
+// IndexedDB hands records back in key order; queue order is when they were made
+const inQueueOrder = (ops) => [...ops].sort((a, b) => a.timestamp - b.timestamp || (a.id < b.id ? -1 : 1));
+
+export const pendingQueue = {
+  usesIndexedDB: typeof indexedDB !== 'undefined',
+
+  // Queue to start with before load() resolves (only localStorage can be read synchronously)
+  initial() {
+    return this.usesIndexedDB ? [] : normalize(storage.get('pendingUpdates') || []);
+  },
+
+  // Read the queue, moving a localStorage queue from older versions into IndexedDB
+  async load() {
+    if (!this.usesIndexedDB) return this.initial();
+
+    try {
+      const legacy = storage.get('pendingUpdates');
+      if (legacy) {
+        await transact('pendingUpdates', 'readwrite', store => {
+          normalize(legacy).forEach(op => store.put(op));
+        });
+        storage.remove('pendingUpdates');
+      }
+      return inQueueOrder(await transact('pendingUpdates', 'readonly', store => store.getAll()));
+    } catch (error) {
+      console.error('Failed to read the offline queue:', error);
+      return [];
+    }
+  },
+
+  // Write what changed between two versions of the queue
+  async save(next, prev = []) {
+    if (!this.usesIndexedDB) {
+      storage.set('pendingUpdates', next);
+      return;
+    }
+
+    const kept = new Set(next.map(op => op.id));
+    const removed = prev.filter(op => !kept.has(op.id));
+    const changed = next.filter(op => !prev.includes(op));
+    if (removed.length === 0 && changed.length === 0) return;
+
+    try {
+      await transact('pendingUpdates', 'readwrite', store => {
+        removed.forEach(op => store.delete(op.id));
+        changed.forEach(op => store.put(op));
+      });
+    } catch (error) {
+      console.error('Failed to save the offline queue:', error);
+    }
+  },
+
+  // Ask the service worker to replay the queue once there's a connection. The
+  // headers go along so it can authenticate; null forgets them.
+  async requestSync(headers) {
+    if (!this.usesIndexedDB) return;
+
+    try {
+      await transact('meta', 'readwrite', store => (
+        headers ? store.put(headers, 'requestHeaders') : store.delete('requestHeaders')
+      ));
+      if (!headers || !('serviceWorker' in navigator)) return;
+
+      const registration = await navigator.serviceWorker.ready;
+      await registration.sync?.register(SYNC_TAG);
+    } catch (error) {
+      console.error('Background sync registration failed:', error);
+    }
+  },
+
+  // Local resolution id -> Notion page id for creates the worker replayed
+  // while no tab was open; reading them clears them
+  async takeCreatedPages() {
+    if (!this.usesIndexedDB) return {};
+
+    try {
+      const idMap = await transact('meta', 'readonly', store => store.get('createdPages'));
+      if (idMap) await transact('meta', 'readwrite', store => store.delete('createdPages'));
+      return idMap || {};
+    } catch {
+      return {};
+    }
+  },
+
+  // Run `replay` while no other tab or the worker is replaying the queue
+  withLock(replay) {
+    return navigator.locks ? navigator.locks.request(SYNC_TAG, replay) : replay();
+  },
+
+  // Call `listener(message)` when the worker has replayed the queue; returns the cleanup
+  onWorkerSync(listener) {
+    if (!('serviceWorker' in navigator)) return () => {};
+
+    const handleMessage = (event) => {
+      if (event.data?.type === 'queue-synced') listener(event.data);
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  },
+};
@@ -0,0 +1,70 @@
+// Push subscription for check-in reminders
+//
+// The browser subscribes through the service worker's PushManager with the
+// server's VAPID public key; the subscription is then stored by the API
+// (api/push/subscriptions.js), which pushes reminders to it. The worker only
+// runs in production builds, so there's nothing to subscribe with in dev.
+
+const WORKER_MISSING = 'Reminders need the service worker, which only runs in production builds';
+
+const decodeKey = (base64url) => {
+  const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+};
+
+const sameKey = (buffer, key) => {
+  const a = new Uint8Array(buffer || []);
+  return a.length === key.length && a.every((byte, i) => byte === key[i]);
+};
+
+export const push = {
+  supported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  },
+
+  async registration() {
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration) throw new Error(WORKER_MISSING);
+    return registration;
+  },
+
+  // Subscribe with `publicKey` (asking for notification permission first) and
+  // resolve with the subscription as JSON. Throws with a message for the user.
+  async subscribe(publicKey) {
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      throw new Error('Notifications are blocked for this site; allow them in the browser settings');
+    }
+
+    const registration = await this.registration();
+    const applicationServerKey = decodeKey(publicKey);
+    const existing = await registration.pushManager.getSubscription();
+    if (existing && sameKey(existing.options.applicationServerKey, applicationServerKey)) {
+      return existing.toJSON();
+    }
+
+    // Subscribed with an older key: the server can't push to that one
+    await existing?.unsubscribe();
+    const subscription = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey });
+    return subscription.toJSON();
+  },
+
+  // Unsubscribe this browser; resolves with the endpoint it had, if any
+  async unsubscribe() {
+    const registration = await navigator.serviceWorker.getRegistration();
+    const subscription = await registration?.pushManager.getSubscription();
+    if (!subscription) return null;
+    await subscription.unsubscribe();
+    return subscription.endpoint;
+  },
+
+  // Have the worker show a sample reminder the way it shows pushed ones, to
+  // try notifications without a push service
+  async showTest() {
+    const registration = await this.registration();
+    registration.active?.postMessage({
+      type: 'SHOW_REMINDER',
+      message: { title: 'Time to check in', body: 'This is what your daily reminder looks like', url: '/?action=checkin' },
+    });
+  },
+};
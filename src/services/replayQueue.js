@@ -0,0 +1,42 @@
+// Replaying the offline queue, shared by the app (syncPendingUpdates in
+// store/resolutionStore.js) and the service worker's Background Sync handler
+// (src/service-worker.js), so both replay it the same way
+//
+// Operations go out in queue order. Creates map local ids to their new pages
+// for the operations after them, updates carry their base version (or the one
+// an earlier update in this replay produced), and the replay stops at the
+// first failure or conflict so nothing overtakes it. An operation already
+// flagged with a conflict also stops it, until the user settles that.
+//
+// `send(op, { pageId, baseVersion })` makes the API call for one operation and
+// resolves with { ok: true, result }, { conflict: remote } or { ok: false }.
+// Resolves with the ids of the operations that went through, the local id ->
+// page id map, and the conflict that stopped the replay ({ id, pageId, remote }).
+
+export async function replayQueue(queue, send) {
+  const idMap = {};
+  const versions = {};
+  const done = [];
+  let conflict = null;
+
+  for (const op of queue) {
+    if (op.conflict) break;
+
+    const pageId = op.pageId || idMap[op.resolutionId];
+    const baseVersion = pageId in versions ? versions[pageId] : op.baseVersion;
+    const outcome = await send(op, { pageId, baseVersion });
+
+    if (outcome.conflict) {
+      conflict = { id: op.id, pageId, remote: outcome.conflict };
+      break;
+    }
+    if (!outcome.ok) break;
+
+    const { result } = outcome;
+    if (op.type === 'create' && result?.id) idMap[op.resolutionId] = result.id;
+    if (pageId && result?.lastEdited) versions[pageId] = result.lastEdited;
+    done.push(op.id);
+  }
+
+  return { done, idMap, conflict };
+}
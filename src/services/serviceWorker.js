@@ -0,0 +1,63 @@
+// Service worker registration and updates
+//
+// Production builds register /service-worker.js (emitted by vite.config.js).
+// When a deploy brings a new worker, it installs in the background and waits;
+// `waiting()` turns truthy so the app can offer to reload into the new version.
+export const serviceWorker = {
+  waitingWorker: null,
+  listeners: new Set(),
+  updating: false,
+
+  register() {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    window.addEventListener('load', async () => {
+      try {
+        const registration = await navigator.serviceWorker.register('/service-worker.js');
+
+        // Left waiting by an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          this.setWaiting(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          worker?.addEventListener('statechange', () => {
+            // With no controller yet this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+              this.setWaiting(worker);
+            }
+          });
+        });
+      } catch (error) {
+        console.error('Service worker registration failed:', error);
+      }
+    });
+
+    // The new worker took over after applyUpdate(): load the new version
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.updating) window.location.reload();
+    });
+  },
+
+  setWaiting(worker) {
+    this.waitingWorker = worker;
+    this.listeners.forEach(listener => listener());
+  },
+
+  waiting() {
+    return this.waitingWorker;
+  },
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  },
+
+  // Ask the waiting worker to take over; the page reloads once it has
+  applyUpdate() {
+    if (!this.waitingWorker) return;
+    this.updating = true;
+    this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  },
+};
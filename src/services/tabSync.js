@@ -0,0 +1,92 @@
+// Messages between the app's open tabs (and installed app windows)
+//
+// Every tab runs its own store, so the stores tell each other about the state
+// changes they make (see SHARED_ACTIONS in store/resolutionStore.js) over a
+// BroadcastChannel, or through `storage` events where there's no
+// BroadcastChannel. Neither delivers a tab's messages back to itself.
+//
+// One tab at a time is the sync leader and replays the offline queue for all
+// of them. Leadership is a Web Lock held for as long as the tab is open, so
+// the next tab in line takes over when the leader closes. Without Web Locks
+// every tab leads, as each did on its own before.
+
+const CHANNEL_NAME = 'resolution-tracker';
+const MESSAGE_KEY = 'tabMessage';
+const LEADER_LOCK = 'resolution-tracker-leader';
+
+// Relay messages through a localStorage key: writing it fires `storage` in the other tabs
+const connectStorage = (listener) => {
+  const handleStorage = (event) => {
+    if (event.key !== MESSAGE_KEY || !event.newValue) return;
+    try {
+      listener(JSON.parse(event.newValue).message);
+    } catch {
+      // Not one of ours
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    publish(message) {
+      try {
+        // The nonce makes a repeated message a change too
+        localStorage.setItem(MESSAGE_KEY, JSON.stringify({ message, nonce: Math.random() }));
+        localStorage.removeItem(MESSAGE_KEY);
+      } catch (error) {
+        console.error('Tab message failed:', error);
+      }
+    },
+    close() {
+      window.removeEventListener('storage', handleStorage);
+    },
+  };
+};
+
+export const tabSync = {
+  // Call `listener(message)` with the other tabs' messages; returns
+  // { publish(message), close() }. Messages must survive JSON.
+  connect(listener) {
+    if (typeof BroadcastChannel === 'undefined') return connectStorage(listener);
+
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => listener(event.data);
+    return {
+      publish(message) {
+        channel.postMessage(message);
+      },
+      close() {
+        channel.close();
+      },
+    };
+  },
+
+  // Call `onLeader({ takeover })` once this tab leads; `takeover` is set when
+  // it had to wait for another tab to close first. Returns the cleanup, which
+  // hands leadership on (or stops waiting for it).
+  elect(onLeader) {
+    if (!navigator.locks) {
+      onLeader({ takeover: false });
+      return () => {};
+    }
+
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const controller = new AbortController();
+    const lead = (takeover) => {
+      onLeader({ takeover });
+      return held;
+    };
+
+    navigator.locks.request(LEADER_LOCK, { ifAvailable: true }, (lock) => {
+      if (lock) return lead(false);
+      return navigator.locks.request(LEADER_LOCK, { signal: controller.signal }, () => lead(true));
+    }).catch(() => {
+      // Aborted while waiting: the tab closed before its turn came
+    });
+
+    return () => {
+      controller.abort();
+      release();
+    };
+  },
+};
@@ -0,0 +1,24 @@
+import { useState, useEffect, useSyncExternalStore } from 'react';
+import { createResolutionStore } from './resolutionStore';
+import { ResolutionContext } from './context';
+
+// Creates the resolution store for everything below it and runs its side
+// effects: loading on mount, online/offline listeners, messages from other
+// tabs and the check-in log of the selected resolution
+const ResolutionProvider = ({ children }) => {
+  const [store] = useState(createResolutionStore);
+  const { resolutions, selectedId, isOnline } = useSyncExternalStore(store.subscribe, store.getState);
+  const selectedPageId = resolutions.find(r => r.id === selectedId)?.notionPageId;
+
+  useEffect(() => store.start(), [store]);
+
+  useEffect(() => store.loadCheckinHistory(selectedPageId, isOnline), [store, selectedPageId, isOnline]);
+
+  return (
+    <ResolutionContext.Provider value={store}>
+      {children}
+    </ResolutionContext.Provider>
+  );
+};
+
+export default ResolutionProvider;
@@ -0,0 +1,20 @@
+import { createContext, useContext, useSyncExternalStore } from 'react';
+import { notionService } from '../services/notion';
+
+export const ResolutionContext = createContext(null);
+
+// State and actions of the nearest <ResolutionProvider>'s store
+export const useResolutions = () => {
+  const store = useContext(ResolutionContext);
+  if (!store) throw new Error('useResolutions must be used inside a ResolutionProvider');
+
+  const state = useSyncExternalStore(store.subscribe, store.getState);
+
+  return {
+    ...state,
+    ...store.actions,
+    selectedResolution: state.resolutions.find(r => r.id === state.selectedId) || null,
+    // Most recent API failure, for the error banner
+    lastError: notionService.lastError,
+  };
+};
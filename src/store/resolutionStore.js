@@ -0,0 +1,754 @@
+// Resolution store
+//
+// Holds the resolutions, the offline queue and the sync status, plus the
+// actions that change them: every Notion call and localStorage write the views
+// need goes through here. State only changes through `reducer`; actions read
+// it with getState(), so the ones that run from window listeners or after an
+// await always see the current values rather than those of an old render.
+//
+// Each <ResolutionProvider> creates its own store (see ResolutionProvider.jsx)
+// and components read it with useResolutions(). Stores in other tabs mirror
+// each other's shared state changes through services/tabSync.js.
+
+import { notionService } from '../services/notion';
+import { storage } from '../services/storage';
+import { pendingQueue } from '../services/pendingQueue';
+import { replayQueue } from '../services/replayQueue';
+import { push } from '../services/push';
+import { tabSync } from '../services/tabSync';
+import { todayKey, rollOverPeriod, setTimeZone, getTimeZone } from '../utils/periods';
+import { heatmapStart } from '../utils/activity';
+import { logCheckin, computeStreak } from '../utils/streak';
+import { getStep } from '../utils/resolutions';
+
+// Resolutions created here that Notion hasn't assigned a page to yet
+export const isLocalId = (id) => String(id).startsWith('local-');
+
+// Pending operations are { id, type: 'create' | 'update' | 'delete', resolutionId,
+// pageId, ... }, kept by services/pendingQueue.js where the service worker can
+// replay them too.
+
+// Fields that only live in the local cache (Notion has no column for them)
+const LOCAL_FIELDS = ['checkins', 'streakBase', 'history'];
+
+// Carry local-only fields over from the cached copy of a resolution, and a step
+// Notion hasn't got yet (steps used to be kept on the device only)
+const withLocalFields = (resolution, cached) => {
+  const local = cached.find(r => r.id === resolution.id);
+  if (!local) return resolution;
+
+  const merged = { ...resolution };
+  for (const field of LOCAL_FIELDS) {
+    if (local[field] !== undefined) merged[field] = local[field];
+  }
+  if (!merged.step && local.step) merged.step = local.step;
+  return merged;
+};
+
+// Demo data for when Notion isn't connected
+const getDemoData = () => [
+  { id: 'demo-1', title: 'Read 24 books', category: 'Personal Growth', target: 24, current: 3, unit: 'books', frequency: 'yearly', streak: 12, lastCheckin: '2026-01-05', notionPageId: null },
+  { id: 'demo-2', title: 'Exercise 4x per week', category: 'Health', target: 4, current: 3, unit: 'sessions', frequency: 'weekly', streak: 8, lastCheckin: '2026-01-06', notionPageId: null },
+  { id: 'demo-3', title: 'Save $10,000', category: 'Finance', target: 10000, current: 850, unit: 'dollars', frequency: 'yearly', step: 100, streak: 7, lastCheckin: '2026-01-01', notionPageId: null },
+  { id: 'demo-4', title: 'Meditate daily', category: 'Wellness', target: 7, current: 7, unit: 'days', frequency: 'weekly', streak: 21, lastCheckin: '2026-01-07', notionPageId: null },
+  { id: 'demo-5', title: 'Learn Spanish', category: 'Personal Growth', target: 30, current: 12, unit: 'lessons', frequency: 'monthly', streak: 5, lastCheckin: '2026-01-06', notionPageId: null },
+];
+
+// User preferences; an empty timeZone follows the device. `reminders` turns
+// on a daily push at `reminderTime` for resolutions without a check-in.
+const DEFAULT_SETTINGS = { timeZone: '', reminders: false, reminderTime: '20:00' };
+
+const initialState = (settings) => ({
+  // Load from localStorage first for instant display
+  resolutions: (storage.get('resolutions') || []).map(r => rollOverPeriod(r)),
+  isLoading: true,
+  isLocked: false,
+  unlockFailed: false,
+  isSyncing: false,
+  syncStatus: 'offline', // 'synced', 'syncing', 'offline', 'error', 'conflict', 'demo'
+  isOnline: navigator.onLine,
+  pendingUpdates: pendingQueue.initial(),
+  selectedId: null,
+  checkinHistory: null,
+  activityLog: null,
+  settings,
+});
+
+const mapWhere = (list, match, change) => list.map(item => match(item) ? change(item) : item);
+
+export const reducer = (state, action) => {
+  switch (action.type) {
+    case 'loading':
+      return { ...state, isLoading: action.isLoading };
+    case 'syncStatus':
+      return { ...state, syncStatus: action.syncStatus };
+    case 'online':
+      return { ...state, isOnline: action.isOnline };
+    case 'locked':
+      return { ...state, isLocked: action.isLocked, unlockFailed: action.unlockFailed ?? state.unlockFailed };
+
+    case 'resolutionsLoaded':
+      return { ...state, resolutions: action.resolutions };
+    case 'resolutionAdded':
+      return { ...state, resolutions: [...state.resolutions, action.resolution] };
+    case 'resolutionChanged':
+      return { ...state, resolutions: mapWhere(state.resolutions, r => r.id === action.id, r => ({ ...r, ...action.changes })) };
+    case 'resolutionRemoved':
+      return {
+        ...state,
+        resolutions: state.resolutions.filter(r => r.id !== action.id),
+        selectedId: state.selectedId === action.id ? null : state.selectedId,
+      };
+    // Notion's copy of a page replaces ours (keeping our id)
+    case 'pageReplaced':
+      return {
+        ...state,
+        resolutions: mapWhere(state.resolutions, r => r.notionPageId === action.pageId, r => ({ ...r, ...action.remote, id: r.id })),
+      };
+    case 'progressShifted':
+      return {
+        ...state,
+        resolutions: mapWhere(state.resolutions, r => r.notionPageId === action.pageId, r => ({ ...r, current: Math.max(0, r.current + action.offset) })),
+      };
+    // Point resolutions created offline (and anything still queued for them) at their new pages
+    case 'pagesCreated': {
+      const { idMap } = action;
+      return {
+        ...state,
+        resolutions: mapWhere(state.resolutions, r => idMap[r.id], r => ({ ...r, id: idMap[r.id], notionPageId: idMap[r.id] })),
+        pendingUpdates: mapWhere(state.pendingUpdates, op => !op.pageId && idMap[op.resolutionId], op => ({ ...op, pageId: idMap[op.resolutionId] })),
+        selectedId: idMap[state.selectedId] || state.selectedId,
+        activityLog: state.activityLog && mapWhere(state.activityLog, e => idMap[e.resolutionId], e => ({ ...e, resolutionId: idMap[e.resolutionId] })),
+      };
+    }
+
+    case 'operationQueued':
+      return { ...state, pendingUpdates: [...state.pendingUpdates, action.op] };
+    case 'queueReplaced':
+      return { ...state, pendingUpdates: action.pendingUpdates };
+    case 'syncStarted':
+      return { ...state, isSyncing: true, syncStatus: 'syncing' };
+    // Drop what replayed and flag the operation Notion reported a conflict for
+    case 'syncFinished': {
+      const { conflict } = action;
+      const done = new Set(action.done);
+      return {
+        ...state,
+        isSyncing: false,
+        syncStatus: action.syncStatus,
+        pendingUpdates: state.pendingUpdates
+          .filter(op => !done.has(op.id))
+          .map(op => (op.id === conflict?.id ? { ...op, conflict: conflict.remote } : op)),
+      };
+    }
+
+    case 'selected':
+      return { ...state, selectedId: action.id };
+    case 'checkinHistoryLoaded':
+      return { ...state, checkinHistory: action.history };
+    case 'checkinLogged':
+      return { ...state, checkinHistory: [action.entry, ...(state.checkinHistory || [])] };
+    // Every resolution's Notion check-ins for the heatmap; null without a check-in log
+    case 'activityLoaded':
+      return { ...state, activityLog: action.entries };
+    case 'activityLogged':
+      return state.activityLog ? { ...state, activityLog: [action.entry, ...state.activityLog] } : state;
+
+    case 'settingsChanged':
+      return { ...state, settings: { ...state.settings, ...action.changes } };
+
+    default:
+      throw new Error(`Unknown action: ${action.type}`);
+  }
+};
+
+// Actions other tabs apply too, so every tab shows the same resolutions,
+// activity, queue, sync status and settings. Loading, connectivity, the lock
+// screen and what's open stay per tab.
+const SHARED_ACTIONS = new Set([
+  'syncStatus',
+  'resolutionsLoaded',
+  'resolutionAdded',
+  'resolutionChanged',
+  'resolutionRemoved',
+  'pageReplaced',
+  'progressShifted',
+  'pagesCreated',
+  'operationQueued',
+  'queueReplaced',
+  'syncStarted',
+  'syncFinished',
+  'activityLoaded',
+  'activityLogged',
+  'settingsChanged',
+]);
+
+// Mirror the cached resolutions and the settings to localStorage, and the queue
+// to its own storage
+const persist = (next, prev) => {
+  if (next.resolutions !== prev.resolutions && next.resolutions.length > 0) {
+    storage.set('resolutions', next.resolutions);
+  }
+  if (next.pendingUpdates !== prev.pendingUpdates) {
+    pendingQueue.save(next.pendingUpdates, prev.pendingUpdates);
+  }
+  if (next.settings !== prev.settings) {
+    storage.set('settings', next.settings);
+  }
+};
+
+export const createResolutionStore = () => {
+  // The time zone has to be in place before cached resolutions are rolled over
+  const settings = { ...DEFAULT_SETTINGS, ...storage.get('settings') };
+  setTimeZone(settings.timeZone);
+
+  let state = initialState(settings);
+  const listeners = new Set();
+  // Set by start(): the channel to the other tabs, and whether this one syncs for them
+  let tabs = null;
+  let isLeader = false;
+
+  persist(state, {});
+
+  const getState = () => state;
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const dispatch = (action) => {
+    const prev = state;
+    state = reducer(state, action);
+    persist(state, prev);
+    listeners.forEach(listener => listener());
+    if (tabs && SHARED_ACTIONS.has(action.type)) tabs.publish({ type: 'action', action });
+  };
+
+  // Apply another tab's change. That tab has already saved it, so it's neither
+  // saved again nor passed on.
+  const applyRemote = (action) => {
+    if (!SHARED_ACTIONS.has(action.type)) return;
+    state = reducer(state, action);
+    if (action.type === 'settingsChanged') setTimeZone(state.settings.timeZone);
+    listeners.forEach(listener => listener());
+  };
+
+  const setSyncStatus = (syncStatus) => dispatch({ type: 'syncStatus', syncStatus });
+
+  // Queue an operation to replay against Notion once we're back online, by
+  // this tab or, through Background Sync, by the service worker
+  const queueOperation = (op) => {
+    const suffix = String(state.pendingUpdates.length).padStart(4, '0');
+    dispatch({
+      type: 'operationQueued',
+      op: { id: `op-${Date.now()}-${suffix}`, timestamp: Date.now(), ...op },
+    });
+    setSyncStatus('offline');
+    pendingQueue.requestSync(notionService.requestHeaders());
+  };
+
+  // Added here with its page still to be created by a queued 'create'; updates
+  // queued after it find the page through that create when they replay
+  const awaitsCreate = (id) => state.pendingUpdates.some(op => op.type === 'create' && op.resolutionId === id);
+
+  // Remember the page version our own update produced, so it isn't mistaken for a remote edit
+  const recordVersion = (id, result) => {
+    if (!result?.lastEdited) return;
+    dispatch({ type: 'resolutionChanged', id, changes: { lastEdited: result.lastEdited } });
+  };
+
+  // Fetch resolutions from Notion (or use cached/demo data)
+  const fetchResolutions = async () => {
+    dispatch({ type: 'loading', isLoading: true });
+
+    if (!state.isOnline) {
+      dispatch({ type: 'loading', isLoading: false });
+      setSyncStatus('offline');
+      return;
+    }
+
+    setSyncStatus('syncing');
+    const data = await notionService.fetchResolutions();
+
+    // The API wants an access token we don't have (or ours was revoked)
+    if (!data && notionService.lastError?.code === 'unauthorized') {
+      dispatch({ type: 'locked', isLocked: true });
+      setSyncStatus('offline');
+      dispatch({ type: 'loading', isLoading: false });
+      return;
+    }
+
+    if (data && data.length > 0) {
+      const cached = storage.get('resolutions') || [];
+      const queue = state.pendingUpdates;
+      const pendingDeletes = new Set(queue.filter(op => op.type === 'delete').map(op => op.pageId));
+      const pendingCreates = new Set(queue.filter(op => op.type === 'create').map(op => op.resolutionId));
+      const pendingEdits = new Set(queue.filter(op => op.type === 'update').map(op => op.pageId));
+
+      // Keep queued work visible until it syncs: offline deletes stay gone, offline creates
+      // stay put, and offline edits aren't overwritten (conflicts surface when they replay)
+      const merged = [
+        ...data
+          .filter(r => !pendingDeletes.has(r.notionPageId))
+          .map(r => (pendingEdits.has(r.notionPageId) && cached.find(c => c.id === r.id)) || r),
+        ...cached.filter(r => pendingCreates.has(r.id)),
+      ].map(r => withLocalFields(r, cached));
+      const reconciled = merged.map(r => {
+        const rolled = rollOverPeriod(r);
+        return { ...rolled, streak: computeStreak(rolled) };
+      });
+      dispatch({ type: 'resolutionsLoaded', resolutions: reconciled });
+      setSyncStatus('synced');
+
+      // Write back period resets, streaks and steps that changed since Notion last
+      // saw them, keeping the versions they produce so later edits don't conflict
+      const unsavedSteps = new Set(data.filter(r => !r.step && !pendingEdits.has(r.notionPageId)).map(r => r.id));
+      await Promise.all(reconciled.map(async (r, i) => {
+        const updates = {};
+        if (r.current !== merged[i].current) updates.current = r.current;
+        if (r.streak !== merged[i].streak) updates.streak = r.streak;
+        if (r.step && unsavedSteps.has(r.id)) updates.step = r.step;
+        if (r.notionPageId && Object.keys(updates).length > 0) {
+          recordVersion(r.id, await notionService.updateResolution(r.notionPageId, updates));
+        }
+      }));
+
+      // The heatmap's year of check-ins from every device (null leaves it on the local logs)
+      dispatch({ type: 'activityLoaded', entries: await notionService.fetchActivity(heatmapStart(todayKey())) });
+    } else {
+      // If API fails, check if we have cached data
+      const cached = storage.get('resolutions');
+      if (!cached || cached.length === 0) {
+        // Use demo data for first-time users or when API not configured
+        dispatch({ type: 'resolutionsLoaded', resolutions: getDemoData() });
+        setSyncStatus('demo');
+      } else {
+        setSyncStatus('offline');
+      }
+    }
+
+    dispatch({ type: 'loading', isLoading: false });
+  };
+
+  // Replay queued operations in order when back online. Only the leader tab
+  // does (see requestSync); the lock keeps the service worker from replaying
+  // the same operations meanwhile.
+  const syncPendingUpdates = () => pendingQueue.withLock(async () => {
+    // The worker may have replayed some of the queue since this tab last looked
+    dispatch({ type: 'queueReplaced', pendingUpdates: await pendingQueue.load() });
+
+    const queue = state.pendingUpdates;
+    if (queue.length === 0) return;
+
+    dispatch({ type: 'syncStarted' });
+
+    const { done, idMap, conflict } = await replayQueue(queue, async (op, { pageId, baseVersion }) => {
+      let result;
+      if (op.type === 'create') {
+        result = await notionService.createResolution(op.data);
+      } else if (op.type === 'delete') {
+        result = await notionService.deleteResolution(pageId);
+      } else {
+        result = await notionService.updateResolution(pageId, op.updates, op.checkin, baseVersion);
+        if (result?.conflict) return { conflict: result.remote };
+      }
+      return { ok: Boolean(result), result };
+    });
+
+    if (Object.keys(idMap).length > 0) {
+      dispatch({ type: 'pagesCreated', idMap });
+    }
+
+    const failed = queue.length - done.length;
+    dispatch({
+      type: 'syncFinished',
+      done,
+      conflict,
+      syncStatus: conflict || queue.some(op => op.conflict) ? 'conflict' : failed > 0 ? 'error' : 'synced',
+    });
+
+    // Refresh data after sync, or leave the rest for Background Sync to retry
+    if (failed === 0) {
+      fetchResolutions();
+    } else if (!conflict) {
+      pendingQueue.requestSync(notionService.requestHeaders());
+    }
+  });
+
+  // Pick up pages the service worker created from queued adds, and its view of the queue
+  const loadQueue = async () => {
+    const idMap = await pendingQueue.takeCreatedPages();
+    if (Object.keys(idMap).length > 0) {
+      dispatch({ type: 'pagesCreated', idMap });
+    }
+    dispatch({ type: 'queueReplaced', pendingUpdates: await pendingQueue.load() });
+  };
+
+  // Replay the queue here if this tab leads, or have the leader do it
+  const requestSync = async () => {
+    if (isLeader) {
+      await syncPendingUpdates();
+    } else {
+      tabs?.publish({ type: 'syncRequested' });
+    }
+  };
+
+  const handleTabMessage = (message) => {
+    if (message.type === 'action') {
+      applyRemote(message.action);
+    } else if (message.type === 'syncRequested' && isLeader && state.isOnline) {
+      syncPendingUpdates();
+    }
+  };
+
+  // Listen for connectivity changes and the other tabs, and load resolutions;
+  // returns the cleanup
+  const start = () => {
+    tabs = tabSync.connect(handleTabMessage);
+    const resign = tabSync.elect(({ takeover }) => {
+      isLeader = true;
+      // The previous leader closed, maybe with operations still queued
+      if (takeover && state.isOnline && state.pendingUpdates.length > 0) syncPendingUpdates();
+    });
+
+    const handleOnline = () => {
+      dispatch({ type: 'online', isOnline: true });
+      if (isLeader) syncPendingUpdates();
+    };
+    const handleOffline = () => {
+      dispatch({ type: 'online', isOnline: false });
+      setSyncStatus('offline');
+    };
+
+    // The service worker replayed the queue in the background. It tells every
+    // tab; the leader reloads and the others get its changes.
+    const stopWorkerSync = pendingQueue.onWorkerSync(async ({ remaining, conflict }) => {
+      if (!isLeader) return;
+      await loadQueue();
+      setSyncStatus(conflict ? 'conflict' : remaining > 0 ? 'error' : 'synced');
+      if (remaining === 0) fetchResolutions();
+    });
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    loadQueue().then(fetchResolutions);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      stopWorkerSync();
+      resign();
+      isLeader = false;
+      tabs.close();
+      tabs = null;
+    };
+  };
+
+  // Load the check-in log for the resolution open in the detail view; returns the cleanup
+  const loadCheckinHistory = (pageId, isOnline) => {
+    if (!pageId || !isOnline) return undefined;
+
+    let cancelled = false;
+    notionService.fetchCheckins(pageId).then(history => {
+      if (!cancelled) dispatch({ type: 'checkinHistoryLoaded', history });
+    });
+
+    return () => {
+      cancelled = true;
+      dispatch({ type: 'checkinHistoryLoaded', history: null });
+    };
+  };
+
+  // Settle the first conflicted operation in the queue, then carry on syncing.
+  // 'local' reapplies our edit over Notion's, 'remote' drops our queued edits for
+  // that resolution, 'merge' keeps both: progress becomes Notion's value plus the
+  // delta we logged offline, other fields take our edit.
+  const resolveConflict = async (choice) => {
+    const op = state.pendingUpdates.find(o => o.conflict);
+    if (!op) return;
+
+    const remote = op.conflict;
+    const samePage = (o) => o.type === 'update' && o.pageId === op.pageId;
+    let queue;
+
+    if (choice === 'remote') {
+      queue = state.pendingUpdates.filter(o => !samePage(o));
+      dispatch({ type: 'pageReplaced', pageId: op.pageId, remote });
+    } else {
+      // Shift every queued progress value for this page by what changed in Notion
+      const offset = choice === 'merge' && op.base?.current !== undefined ? remote.current - op.base.current : 0;
+      queue = state.pendingUpdates.map(o => {
+        if (!samePage(o)) return o;
+        const updates = offset && o.updates.current !== undefined
+          ? { ...o.updates, current: Math.max(0, o.updates.current + offset) }
+          : o.updates;
+        const resolved = { ...o, updates };
+        if (o.id === op.id) {
+          delete resolved.conflict;
+          resolved.baseVersion = choice === 'merge' ? remote.lastEdited : null;
+        }
+        return resolved;
+      });
+      if (offset) {
+        dispatch({ type: 'progressShifted', pageId: op.pageId, offset });
+      }
+    }
+
+    dispatch({ type: 'queueReplaced', pendingUpdates: queue });
+    if (state.isOnline) await requestSync();
+  };
+
+  // Save an access token and retry; the unlock screen comes back if it's rejected
+  const unlock = async (token) => {
+    storage.set('accessToken', token);
+    dispatch({ type: 'locked', isLocked: false, unlockFailed: true });
+    await fetchResolutions();
+  };
+
+  // Forget the access token on this device (and the copy kept for the service worker)
+  const lock = () => {
+    storage.remove('accessToken');
+    pendingQueue.requestSync(null);
+    dispatch({ type: 'locked', isLocked: true, unlockFailed: false });
+  };
+
+  const hasAccessToken = () => Boolean(storage.get('accessToken'));
+
+  // Skip the unlock screen and use cached (or demo) data without sync
+  const continueWithoutSync = () => {
+    dispatch({ type: 'locked', isLocked: false, unlockFailed: false });
+    if (state.resolutions.length === 0) {
+      dispatch({ type: 'resolutionsLoaded', resolutions: getDemoData() });
+      setSyncStatus('demo');
+    }
+  };
+
+  // Check the Notion database for missing or mistyped properties; `provision`
+  // creates the missing ones. Resolves to the report, or { error }.
+  const checkSchema = async (provision = false) => {
+    const report = await notionService.checkSchema(provision);
+    if (!report && notionService.lastError?.code === 'unauthorized') {
+      dispatch({ type: 'locked', isLocked: true });
+    }
+    return report || { error: notionService.lastError };
+  };
+
+  // Update progress by any amount (local + queue for Notion sync). Setting an
+  // absolute value is an update by the difference from the period's progress.
+  const updateProgress = async (id, increment) => {
+    const stored = state.resolutions.find(r => r.id === id);
+    if (!stored || !Number.isFinite(increment) || increment === 0) return;
+
+    const today = todayKey();
+    const resolution = rollOverPeriod(stored, today);
+    // Rounded to hundredths so repeated decimal amounts (0.1 hours, $0.25) don't drift
+    const newCurrent = Math.max(0, Math.round((resolution.current + increment) * 100) / 100);
+
+    // Log the actual change (clamped at zero) and recompute the streak from it
+    const checkin = { date: today, amount: newCurrent - resolution.current };
+    const log = logCheckin(resolution, checkin.amount, today);
+    const streak = computeStreak({ ...resolution, ...log }, today);
+    const changes = { ...log, history: resolution.history, current: newCurrent, lastCheckin: today, streak };
+
+    // Update local state immediately; the heatmap's Notion log gets the check-in
+    // before Notion does
+    dispatch({ type: 'resolutionChanged', id, changes });
+    if (checkin.amount !== 0) dispatch({ type: 'activityLogged', entry: { resolutionId: id, ...checkin } });
+
+    // Sync to Notion, or queue until we're online and the page exists
+    if (resolution.notionPageId || awaitsCreate(id)) {
+      const updates = { current: newCurrent, lastCheckin: today, streak };
+
+      if (state.isOnline && resolution.notionPageId) {
+        setSyncStatus('syncing');
+        const result = await notionService.updateResolution(resolution.notionPageId, updates, checkin);
+        setSyncStatus(result ? 'synced' : 'error');
+        recordVersion(id, result);
+        if (result?.checkinLogged && state.selectedId === id) {
+          dispatch({ type: 'checkinLogged', entry: { id: `local-${Date.now()}`, ...checkin, progress: newCurrent } });
+        }
+      } else {
+        queueOperation({
+          type: 'update',
+          resolutionId: id,
+          pageId: resolution.notionPageId,
+          updates,
+          checkin,
+          base: { current: resolution.current },
+          baseVersion: resolution.lastEdited || null
+        });
+      }
+    }
+  };
+
+  // Add a new resolution from the (already validated) add form values
+  const addResolution = async (values) => {
+    const resolution = {
+      id: `local-${Date.now()}`,
+      ...values,
+      title: values.title.trim(),
+      target: Number(values.target),
+      unit: values.unit.trim(),
+      step: Number(values.step),
+      current: 0,
+      streak: 0,
+      lastCheckin: todayKey(),
+      notionPageId: null
+    };
+
+    // Add locally first for instant feedback
+    dispatch({ type: 'resolutionAdded', resolution });
+
+    // Create in Notion if online
+    if (state.isOnline) {
+      setSyncStatus('syncing');
+      const result = await notionService.createResolution(resolution);
+      if (result?.id) {
+        // Point it at its page so the refresh keeps its local-only fields,
+        // then refresh from Notion to get the complete data
+        dispatch({ type: 'pagesCreated', idMap: { [resolution.id]: result.id } });
+        await fetchResolutions();
+        setSyncStatus('synced');
+      } else {
+        // Queued like an offline add, so it (and anything logged for it) replays later
+        console.error('Failed to create resolution in Notion');
+        queueOperation({ type: 'create', resolutionId: resolution.id, data: resolution });
+        setSyncStatus('error');
+      }
+    } else {
+      queueOperation({ type: 'create', resolutionId: resolution.id, data: resolution });
+    }
+  };
+
+  // Save edits (local first, then only the changed fields to Notion)
+  const saveEdits = async (id, draft) => {
+    const resolution = state.resolutions.find(r => r.id === id);
+    if (!resolution) return;
+
+    const edited = {
+      ...draft,
+      title: draft.title.trim(),
+      target: Number(draft.target),
+      unit: draft.unit.trim(),
+      step: Number(draft.step),
+    };
+    const saved = { ...resolution, step: getStep(resolution) };
+    const changes = {};
+    for (const field of Object.keys(edited)) {
+      if (edited[field] !== saved[field]) changes[field] = edited[field];
+    }
+    if (Object.keys(changes).length === 0) return;
+
+    // Update local state immediately
+    dispatch({ type: 'resolutionChanged', id, changes });
+
+    if (resolution.notionPageId || awaitsCreate(resolution.id)) {
+      if (state.isOnline && resolution.notionPageId) {
+        setSyncStatus('syncing');
+        const result = await notionService.updateResolution(resolution.notionPageId, changes);
+        setSyncStatus(result ? 'synced' : 'error');
+        recordVersion(resolution.id, result);
+      } else {
+        queueOperation({
+          type: 'update',
+          resolutionId: resolution.id,
+          pageId: resolution.notionPageId,
+          updates: changes,
+          base: Object.fromEntries(Object.keys(changes).map(field => [field, resolution[field]])),
+          baseVersion: resolution.lastEdited || null
+        });
+      }
+    }
+  };
+
+  // Delete a resolution (the views confirm first)
+  const deleteResolution = async (id) => {
+    const resolution = state.resolutions.find(r => r.id === id);
+    if (!resolution) return;
+
+    // Remove locally first for instant feedback (this also closes its detail view)
+    dispatch({ type: 'resolutionRemoved', id });
+
+    // Never synced: drop its queued create and updates instead of queuing a delete
+    if (isLocalId(id) && awaitsCreate(id)) {
+      dispatch({ type: 'queueReplaced', pendingUpdates: state.pendingUpdates.filter(op => op.resolutionId !== id) });
+      return;
+    }
+
+    // Delete from Notion if it exists there and we're online
+    if (resolution.notionPageId && state.isOnline) {
+      setSyncStatus('syncing');
+      const result = await notionService.deleteResolution(resolution.notionPageId);
+      if (result?.success) {
+        setSyncStatus('synced');
+      } else {
+        setSyncStatus('error');
+        console.error('Failed to delete resolution from Notion');
+      }
+    } else if (resolution.notionPageId) {
+      queueOperation({ type: 'delete', resolutionId: id, pageId: resolution.notionPageId });
+    }
+  };
+
+  const selectResolution = (id) => dispatch({ type: 'selected', id });
+
+  // Save preferences; a new time zone applies to today's date from now on,
+  // and to the reminder time
+  const updateSettings = (changes) => {
+    dispatch({ type: 'settingsChanged', changes });
+    setTimeZone(state.settings.timeZone);
+    if ('timeZone' in changes && state.settings.reminders) {
+      setReminders({ reminders: true, reminderTime: state.settings.reminderTime });
+    }
+  };
+
+  // Turn the daily reminder on (subscribing this browser to pushes) or off,
+  // or move it to another time. Resolves with a message for the user when it
+  // didn't work; the settings only change once the server has the change.
+  const setReminders = async ({ reminders, reminderTime }) => {
+    try {
+      if (reminders) {
+        const publicKey = await notionService.fetchPushKey();
+        if (!publicKey) return notionService.lastError.message;
+
+        const subscription = await push.subscribe(publicKey);
+        const saved = await notionService.savePushSubscription(subscription, reminderTime, getTimeZone());
+        if (!saved) return notionService.lastError.message;
+      } else {
+        const endpoint = await push.unsubscribe();
+        if (endpoint) await notionService.deletePushSubscription(endpoint);
+      }
+    } catch (error) {
+      console.error('Reminder setup failed:', error);
+      return error.message;
+    }
+
+    dispatch({ type: 'settingsChanged', changes: { reminders, reminderTime } });
+    return null;
+  };
+
+  return {
+    getState,
+    subscribe,
+    start,
+    loadCheckinHistory,
+    actions: {
+      fetchResolutions,
+      syncPendingUpdates,
+      resolveConflict,
+      unlock,
+      lock,
+      hasAccessToken,
+      continueWithoutSync,
+      checkSchema,
+      updateProgress,
+      addResolution,
+      saveEdits,
+      deleteResolution,
+      selectResolution,
+      updateSettings,
+      setReminders,
+    },
+  };
+};
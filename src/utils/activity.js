@@ -0,0 +1,59 @@
+// Check-in activity by day for the dashboard heatmap
+//
+// Built from the Notion check-in log when it's configured, so it shows what was
+// logged on every device, and from each resolution's local log otherwise.
+// Only additions count as activity; corrections (negative amounts) are listed
+// for the day but don't darken it.
+
+import { shiftPeriod, getPeriodStart } from './periods';
+
+// date -> [{ resolution, amount }] for resolutions in `category` (all when empty).
+// `log` is the Notion check-in log ([{ resolutionId, date, amount }]), or null
+// when there isn't one; entries for resolutions not listed are left out.
+export const dailyActivity = (resolutions, category = '', log = null) => {
+  const days = new Map();
+  const add = (date, resolution, amount) => {
+    if (category && resolution.category !== category) return;
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push({ resolution, amount });
+  };
+
+  if (log) {
+    const byId = new Map(resolutions.map(r => [r.id, r]));
+    // Oldest first, like the local logs
+    for (const { resolutionId, date, amount } of [...log].reverse()) {
+      if (byId.has(resolutionId)) add(date, byId.get(resolutionId), amount);
+    }
+  } else {
+    for (const resolution of resolutions) {
+      for (const { date, amount } of resolution.checkins || []) add(date, resolution, amount);
+    }
+  }
+  return days;
+};
+
+export const activityCount = (entries = []) => entries.filter(entry => entry.amount > 0).length;
+
+// First day the heatmap shows: the Monday `weeks - 1` weeks before this one
+export const heatmapStart = (today, weeks = 53) => (
+  shiftPeriod(getPeriodStart(today, 'weekly'), 'weekly', 1 - weeks)
+);
+
+// Columns of seven date keys (Monday first) for the `weeks` weeks ending with
+// this one; days after today are null
+export const heatmapWeeks = (today, weeks = 53) => {
+  const first = heatmapStart(today, weeks);
+  return Array.from({ length: weeks }, (_, i) => {
+    const start = shiftPeriod(first, 'weekly', i);
+    return Array.from({ length: 7 }, (_, day) => {
+      const date = shiftPeriod(start, 'daily', day);
+      return date <= today ? date : null;
+    });
+  });
+};
+
+// Shade 0-4 for a day, relative to the busiest day shown
+export const activityLevel = (count, max) => {
+  if (count <= 0 || max <= 0) return 0;
+  return Math.min(4, Math.ceil((count / max) * 4));
+};
@@ -0,0 +1,72 @@
+// Series for the detail view's progress charts
+//
+// Both charts read check-in entries ({ date, amount }): the Notion log when
+// it's configured, otherwise this device's own log. Progress that never went
+// through a check-in (edits in Notion, values from before the log) is still
+// counted, since the charts start from the resolution's stored totals.
+
+import { MONTH_NAMES, getPeriodStart, shiftPeriod, rollOverPeriod } from './periods';
+import { periodDays, expectedProgress } from './pace';
+
+// Check-ins to chart, newest first
+export const chartEntries = (resolution, checkinHistory) => {
+  if (checkinHistory?.length > 0) return checkinHistory;
+  return [...(resolution.checkins || [])].reverse();
+};
+
+// Cumulative progress through the current period, one point per day so far,
+// against the ideal pace from 0 on the first day to `target` on the last
+export const paceSeries = (resolution, entries, today) => {
+  const { frequency, target } = resolution;
+  const start = getPeriodStart(today, frequency);
+  const { days, elapsed } = periodDays(frequency, today);
+
+  const byDay = new Map();
+  for (const { date, amount } of entries) {
+    if (date >= start && date <= today) byDay.set(date, (byDay.get(date) || 0) + amount);
+  }
+
+  // Whatever the log doesn't explain was there before the first entry
+  const current = rollOverPeriod(resolution, today).current;
+  const logged = [...byDay.values()].reduce((sum, amount) => sum + amount, 0);
+  let total = Math.max(0, current - logged);
+
+  const points = [{ day: 0, value: total }];
+  for (let day = 1; day <= elapsed; day++) {
+    total += byDay.get(shiftPeriod(start, 'daily', day - 1)) || 0;
+    points.push({ day, value: Math.max(0, total) });
+  }
+
+  return { days, target, points, expected: expectedProgress(resolution, today) };
+};
+
+// Totals for the last `count` periods, oldest first and ending with the
+// current one. Finished periods use the total kept in `history` when there
+// is one, and the sum of their check-ins otherwise.
+export const periodTotals = (resolution, entries, today, count = 8) => {
+  const { frequency } = resolution;
+  const rolled = rollOverPeriod(resolution, today);
+  const history = new Map((rolled.history || []).map(entry => [entry.period, entry]));
+
+  const logged = new Map();
+  for (const { date, amount } of entries) {
+    const period = getPeriodStart(date, frequency);
+    logged.set(period, (logged.get(period) || 0) + amount);
+  }
+
+  return Array.from({ length: count }, (_, i) => {
+    const offset = i - count + 1;
+    const period = shiftPeriod(today, frequency, offset);
+    const kept = history.get(period);
+    const value = offset === 0 ? rolled.current : (kept?.value ?? Math.max(0, logged.get(period) || 0));
+    return { period, value, target: kept?.target ?? resolution.target };
+  });
+};
+
+// Short axis label for a period start ('Mar' for months, '3/9' for days and weeks)
+export const periodLabel = (period, frequency) => {
+  const [year, month, day] = period.split('-').map(Number);
+  if (frequency === 'yearly') return String(year);
+  if (frequency === 'monthly') return MONTH_NAMES[month - 1];
+  return `${month}/${day}`;
+};
@@ -0,0 +1,28 @@
+// Entry points into the app from its URL
+//
+// The manifest shortcuts and reminder notifications open /?action=add (the add
+// form) or /?action=checkin (the quick check-in sheet), and /?resolution=<id>
+// links to one resolution's detail view. <id> is the resolution's id, which
+// for synced ones is its Notion page id, with or without dashes as in Notion's
+// own page URLs.
+
+export const URL_ACTIONS = ['add', 'checkin'];
+
+// { action, resolutionId } from a query string; unknown actions are ignored
+export const readLink = (search) => {
+  const params = new URLSearchParams(search);
+  const action = params.get('action');
+  return {
+    action: URL_ACTIONS.includes(action) ? action : null,
+    resolutionId: params.get('resolution'),
+  };
+};
+
+export const resolutionLink = (id) => `/?resolution=${encodeURIComponent(id)}`;
+
+const normalizeId = (id) => String(id).replace(/-/g, '').toLowerCase();
+
+export const findLinkedResolution = (resolutions, linkedId) => {
+  const wanted = normalizeId(linkedId);
+  return resolutions.find(r => normalizeId(r.id) === wanted || (r.notionPageId && normalizeId(r.notionPageId) === wanted)) || null;
+};
@@ -0,0 +1,74 @@
+// Pace: where a resolution should be by today, and where it's heading
+//
+// Progress is expected to build evenly across the period (the whole year for
+// yearly goals), so "Save $10,000" at $850 in mid-January is ahead rather than
+// at 8.5%. A resolution counts as on track while it's within one day's worth
+// of the even pace either way.
+
+import { MONTH_NAMES, getPeriodStart, shiftPeriod, periodsBetween, rollOverPeriod } from './periods';
+
+export const PACE_LABELS = { done: 'Done', ahead: 'Ahead', 'on-track': 'On track', behind: 'Behind' };
+
+export const PACE_COLORS = {
+  done: { bg: 'rgba(34, 197, 94, 0.15)', text: '#4ADE80' },
+  ahead: { bg: 'rgba(59, 130, 246, 0.15)', text: '#60A5FA' },
+  'on-track': { bg: 'rgba(99, 102, 241, 0.15)', text: '#A5B4FC' },
+  behind: { bg: 'rgba(245, 158, 11, 0.15)', text: '#FBBF24' },
+};
+
+// Days in the period containing `today`, and how many of them have started
+export const periodDays = (frequency, today) => {
+  const start = getPeriodStart(today, frequency);
+  return {
+    days: periodsBetween(start, shiftPeriod(today, frequency, 1), 'daily'),
+    elapsed: periodsBetween(start, today, 'daily') + 1,
+  };
+};
+
+// Progress an even pace would have reached by the end of today
+export const expectedProgress = (resolution, today) => {
+  const { days, elapsed } = periodDays(resolution.frequency, today);
+  return (resolution.target * elapsed) / days;
+};
+
+// { status, expected, projected, periodEnd } for today. `projected` is the
+// day the current rate reaches the target, compared to `periodEnd` (the
+// period's last day) to tell whether that's in time. It's null with no
+// progress yet, and for daily goals, whose period is today.
+export const getPace = (resolution, today) => {
+  const { frequency, target } = resolution;
+  const current = rollOverPeriod(resolution, today).current;
+  const { days, elapsed } = periodDays(frequency, today);
+  const expected = (target * elapsed) / days;
+  const slack = target / days;
+  const periodEnd = shiftPeriod(shiftPeriod(today, frequency, 1), 'daily', -1);
+
+  let status = 'on-track';
+  if (current >= target) status = 'done';
+  else if (current > expected + slack) status = 'ahead';
+  else if (current < expected - slack) status = 'behind';
+
+  let projected = null;
+  if (current >= target) {
+    projected = today;
+  } else if (current > 0 && days > 1) {
+    const rate = current / elapsed;
+    projected = shiftPeriod(today, 'daily', Math.ceil((target - current) / rate));
+  }
+
+  return { status, expected, projected, periodEnd };
+};
+
+// 'Mar 14', with the year when it isn't this year's
+export const formatDay = (dateKey, today) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const label = `${MONTH_NAMES[month - 1]} ${day}`;
+  return dateKey.slice(0, 4) === today.slice(0, 4) ? label : `${label}, ${year}`;
+};
+
+// One line about the projected finish, or null when there's nothing to project
+export const describeProjection = ({ status, projected, periodEnd }, today) => {
+  if (status === 'done' || !projected) return null;
+  if (projected <= periodEnd) return `On pace to finish ${formatDay(projected, today)}`;
+  return `At this pace: ${formatDay(projected, today)}, after the ${formatDay(periodEnd, today)} deadline`;
+};
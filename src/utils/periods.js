@@ -0,0 +1,128 @@
+// Calendar helpers for frequency-based goals
+// Dates are plain 'YYYY-MM-DD' keys (the same shape Notion's date property
+// uses) for days on the user's calendar: todayKey() reads the clock in the
+// configured time zone, so an evening check-in isn't filed under tomorrow's
+// UTC date. Arithmetic on keys is done in UTC so it never drifts across DST.
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Time zone from the user's settings; unset means the device's own
+let configuredTimeZone = null;
+
+export const setTimeZone = (timeZone) => {
+  configuredTimeZone = timeZone || null;
+};
+
+export const deviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export const getTimeZone = () => configuredTimeZone || deviceTimeZone();
+
+// Date key of `date` on the calendar of `timeZone`
+export const dateKeyIn = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+};
+
+// Today's date key
+export const todayKey = () => dateKeyIn(new Date(), getTimeZone());
+
+const parseKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const formatKey = (date) => date.toISOString().split('T')[0];
+
+// First day of the period containing `dateKey` (weeks start on Monday)
+export const getPeriodStart = (dateKey, frequency) => {
+  const date = parseKey(dateKey);
+
+  switch (frequency) {
+    case 'daily':
+      break;
+    case 'monthly':
+      date.setUTCDate(1);
+      break;
+    case 'yearly':
+      date.setUTCMonth(0, 1);
+      break;
+    case 'weekly':
+    default:
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+
+  return formatKey(date);
+};
+
+// Start of the period `offset` periods away from the one containing `dateKey`
+export const shiftPeriod = (dateKey, frequency, offset) => {
+  const date = parseKey(getPeriodStart(dateKey, frequency));
+
+  switch (frequency) {
+    case 'daily':
+      date.setUTCDate(date.getUTCDate() + offset);
+      break;
+    case 'monthly':
+      date.setUTCMonth(date.getUTCMonth() + offset);
+      break;
+    case 'yearly':
+      date.setUTCFullYear(date.getUTCFullYear() + offset);
+      break;
+    case 'weekly':
+    default:
+      date.setUTCDate(date.getUTCDate() + offset * 7);
+  }
+
+  return formatKey(date);
+};
+
+// Whole periods from the one containing `fromKey` to the one containing `toKey`
+export const periodsBetween = (fromKey, toKey, frequency) => {
+  const from = parseKey(getPeriodStart(fromKey, frequency));
+  const to = parseKey(getPeriodStart(toKey, frequency));
+
+  switch (frequency) {
+    case 'monthly':
+      return (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+    case 'yearly':
+      return to.getUTCFullYear() - from.getUTCFullYear();
+    case 'daily':
+      return Math.round((to - from) / 86400000);
+    case 'weekly':
+    default:
+      return Math.round((to - from) / (7 * 86400000));
+  }
+};
+
+// Start a fresh period if `lastCheckin` falls in an earlier one. The finished
+// period's total moves to `history` (keyed by period start, so replaying a
+// rollover for the same period overwrites instead of duplicating).
+export const rollOverPeriod = (resolution, today = todayKey()) => {
+  const { lastCheckin, frequency } = resolution;
+  if (!lastCheckin || periodsBetween(lastCheckin, today, frequency) <= 0) {
+    return resolution;
+  }
+
+  const period = getPeriodStart(lastCheckin, frequency);
+  const history = resolution.history || [];
+  if (resolution.current === 0 && history.some(h => h.period === period)) {
+    return resolution;
+  }
+
+  return {
+    ...resolution,
+    current: 0,
+    history: [
+      ...history.filter(h => h.period !== period),
+      { period, value: resolution.current, target: resolution.target },
+    ],
+  };
+};
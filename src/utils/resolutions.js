@@ -0,0 +1,69 @@
+// Display constants and helpers shared by the resolution views
+
+import { FREQUENCIES, rollOverPeriod } from './periods';
+
+export const CATEGORIES = ['Personal Growth', 'Health', 'Finance', 'Wellness', 'Career', 'Relationships'];
+
+export const CATEGORY_COLORS = {
+  'Personal Growth': { bg: '#FEF3C7', text: '#92400E', accent: '#F59E0B', glow: 'rgba(245, 158, 11, 0.3)' },
+  'Health': { bg: '#DCFCE7', text: '#166534', accent: '#22C55E', glow: 'rgba(34, 197, 94, 0.3)' },
+  'Finance': { bg: '#DBEAFE', text: '#1E40AF', accent: '#3B82F6', glow: 'rgba(59, 130, 246, 0.3)' },
+  'Wellness': { bg: '#F3E8FF', text: '#7C3AED', accent: '#A855F7', glow: 'rgba(168, 85, 247, 0.3)' },
+  'Career': { bg: '#FEE2E2', text: '#991B1B', accent: '#EF4444', glow: 'rgba(239, 68, 68, 0.3)' },
+  'Relationships': { bg: '#FCE7F3', text: '#9D174D', accent: '#EC4899', glow: 'rgba(236, 72, 153, 0.3)' },
+};
+
+// Colors for a category, falling back for categories added in Notion
+export const categoryColors = (category) => CATEGORY_COLORS[category] || CATEGORY_COLORS['Personal Growth'];
+
+export const PERIOD_LABELS = { daily: 'today', weekly: 'this week', monthly: 'this month', yearly: 'this year' };
+
+export const FIELD_LABELS = {
+  title: 'Title', category: 'Category', target: 'Target', unit: 'Unit', frequency: 'Frequency',
+  current: 'Progress', streak: 'Streak', lastCheckin: 'Last check-in', step: 'Step',
+};
+
+// Starting values for the add form
+export const NEW_RESOLUTION = { title: '', category: 'Personal Growth', target: 1, unit: 'times', frequency: 'weekly', step: 1 };
+
+// Quick amounts the detail view offers for common units (matched case-insensitively)
+export const UNIT_PRESETS = {
+  dollars: [10, 50, 100, 500],
+  pages: [10, 25, 50],
+  minutes: [10, 15, 30, 60],
+  hours: [0.5, 1, 2],
+  miles: [1, 3, 5],
+  km: [1, 5, 10],
+  steps: [1000, 5000, 10000],
+};
+
+export const getPresets = (resolution) => UNIT_PRESETS[resolution.unit.trim().toLowerCase()] || [];
+
+// How much the +/− buttons move progress (resolutions from before steps move by 1)
+export const getStep = (resolution) => (resolution.step > 0 ? resolution.step : 1);
+
+// Field-level checks shared by the add and edit forms
+export const validateResolution = (values) => {
+  const errors = {};
+  if (!values.title.trim()) errors.title = 'Title is required';
+  if (!CATEGORIES.includes(values.category)) errors.category = 'Pick one of the listed categories';
+  if (!(Number(values.target) > 0)) errors.target = 'Target must be greater than 0';
+  if (!values.unit.trim()) errors.unit = 'Unit is required';
+  if (!FREQUENCIES.includes(values.frequency)) errors.frequency = 'Pick a frequency';
+  if (!(Number(values.step) > 0)) errors.step = 'Step must be greater than 0';
+  return errors;
+};
+
+// Progress within the active period (a stale `current` from last week reads as 0)
+export const getPeriodCurrent = (resolution) => rollOverPeriod(resolution).current;
+
+// Still open today: nothing logged yet today and the period's target not reached
+export const isDueToday = (resolution, today) => (
+  resolution.lastCheckin !== today && rollOverPeriod(resolution, today).current < resolution.target
+);
+
+// Calculate progress percentage
+export const getProgress = (resolution) => Math.min((getPeriodCurrent(resolution) / resolution.target) * 100, 100);
+
+// Confirm deletion (cards and the detail view both offer it)
+export const confirmDelete = (resolution) => window.confirm(`Are you sure you want to delete "${resolution.title}"?`);
@@ -0,0 +1,73 @@
+// Streak engine
+//
+// A streak is the number of consecutive periods (day/week/month/year, per the
+// resolution's frequency) that ended with net-positive progress, counted back
+// from the current period. The current period never breaks a streak while
+// it's still open, so a weekly goal done last week keeps its streak on Monday.
+//
+// Check-ins are kept as a local log of { date, amount } entries. Resolutions
+// that came from Notion before they had a log get a `streakBase` snapshot of
+// their stored Streak / Last Check-in, which the walk picks up once it runs
+// past the start of the log.
+
+import { todayKey, getPeriodStart, shiftPeriod, periodsBetween } from './periods';
+
+// Record a progress change; returns the fields to merge into the resolution
+export const logCheckin = (resolution, amount, date = todayKey()) => {
+  const checkins = resolution.checkins || [];
+  if (amount === 0) return { checkins };
+
+  const entry = { date, amount };
+  if (checkins.length > 0) {
+    return { checkins: [...checkins, entry] };
+  }
+
+  return {
+    checkins: [entry],
+    streakBase: { streak: resolution.streak || 0, lastCheckin: resolution.lastCheckin || '' },
+  };
+};
+
+// Streak as of `today`, derived from the check-in log
+export const computeStreak = (resolution, today = todayKey()) => {
+  const { frequency, checkins = [] } = resolution;
+
+  // No log yet: trust Notion's Streak unless a whole period has been missed
+  if (checkins.length === 0) {
+    if (!resolution.lastCheckin) return 0;
+    return periodsBetween(resolution.lastCheckin, today, frequency) <= 1 ? (resolution.streak || 0) : 0;
+  }
+
+  const totals = new Map();
+  let logStart = null;
+  for (const { date, amount } of checkins) {
+    const start = getPeriodStart(date, frequency);
+    totals.set(start, (totals.get(start) || 0) + amount);
+    if (!logStart || start < logStart) logStart = start;
+  }
+
+  let period = getPeriodStart(today, frequency);
+  if (!(totals.get(period) > 0)) {
+    period = shiftPeriod(period, frequency, -1);
+  }
+
+  let streak = 0;
+  while (period >= logStart && totals.get(period) > 0) {
+    streak += 1;
+    period = shiftPeriod(period, frequency, -1);
+  }
+
+  // Walked off the start of the log: continue with the pre-log streak if it
+  // lines up with the chain (sharing the first logged period counts once)
+  const base = resolution.streakBase;
+  if (period < logStart && base?.lastCheckin && base.streak > 0) {
+    const baseStart = getPeriodStart(base.lastCheckin, frequency);
+    if (baseStart === period) {
+      streak += base.streak;
+    } else if (baseStart === logStart && streak > 0) {
+      streak += base.streak - 1;
+    }
+  }
+
+  return streak;
+};
@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import resolutionsHandler from '../../api/notion/resolutions.js';
+import checkinsHandler from '../../api/notion/checkins.js';
+import schemaHandler from '../../api/notion/schema.js';
+import { createFakeNotion, RESOLUTIONS_DATABASE_ID } from '../../dev/fake-notion.js';
+import { useNotionEnv, mockNotionFetch, notionRequests, callHandler } from '../helpers.js';
+
+describe('api/notion/checkins', () => {
+  let pageId;
+  let fetch;
+
+  beforeEach(async () => {
+    useNotionEnv();
+    ({ fetch } = mockNotionFetch(createFakeNotion()));
+    pageId = (await callHandler(resolutionsHandler)).body[0].id;
+  });
+
+  const checkIn = (current, date, amount) => callHandler(resolutionsHandler, {
+    method: 'PATCH',
+    body: { pageId, updates: { current, lastCheckin: date }, checkin: { date, amount } },
+  });
+
+  it('lists check-ins for one resolution, newest first', async () => {
+    await checkIn(1, '2026-01-01', 1);
+    await checkIn(3, '2026-01-03', 2);
+    await checkIn(2, '2026-01-02', -1);
+
+    const res = await callHandler(checkinsHandler, { query: { pageId } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map(({ date, amount, progress }) => ({ date, amount, progress }))).toEqual([
+      { date: '2026-01-03', amount: 2, progress: 3 },
+      { date: '2026-01-02', amount: -1, progress: 2 },
+      { date: '2026-01-01', amount: 1, progress: 1 },
+    ]);
+  });
+
+  it("lists every resolution's check-ins from a date on", async () => {
+    const otherId = (await callHandler(resolutionsHandler)).body[1].id;
+    await checkIn(1, '2026-01-01', 1);
+    await checkIn(2, '2026-01-02', 1);
+    await callHandler(resolutionsHandler, {
+      method: 'PATCH',
+      body: { pageId: otherId, updates: { current: 4 }, checkin: { date: '2026-01-03', amount: 4 } },
+    });
+
+    const res = await callHandler(checkinsHandler, { query: { since: '2026-01-02' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map(({ resolutionId, date, amount }) => ({ resolutionId, date, amount }))).toEqual([
+      { resolutionId: otherId, date: '2026-01-03', amount: 4 },
+      { resolutionId: pageId, date: '2026-01-02', amount: 1 },
+    ]);
+  });
+
+  it('follows Notion pagination past 100 check-ins', async () => {
+    for (let i = 1; i <= 150; i++) {
+      await checkIn(i, new Date(Date.UTC(2026, 0, i)).toISOString().slice(0, 10), 1);
+    }
+    fetch.mockClear();
+
+    const res = await callHandler(checkinsHandler, { query: { pageId } });
+
+    expect(res.body).toHaveLength(150);
+    expect(res.body.at(-1)).toMatchObject({ date: '2026-01-01', progress: 1 });
+    expect(notionRequests(fetch).map(r => r.body.start_cursor)).toEqual([undefined, expect.any(String)]);
+  });
+
+  it('requires a pageId or a valid since date', async () => {
+    const res = await callHandler(checkinsHandler);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.fields).toEqual({ pageId: 'pageId is required' });
+
+    const badDate = await callHandler(checkinsHandler, { query: { since: 'yesterday' } });
+    expect(badDate.statusCode).toBe(400);
+    expect(badDate.body.fields).toEqual({ since: 'Must be a date formatted YYYY-MM-DD' });
+  });
+
+  it('needs the check-in database to be configured', async () => {
+    useNotionEnv({ NOTION_CHECKINS_DATABASE_ID: '' });
+    const res = await callHandler(checkinsHandler, { query: { pageId } });
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('server_config');
+  });
+});
+
+describe('api/notion/schema', () => {
+  let fake;
+
+  beforeEach(() => {
+    useNotionEnv();
+    ({ fake } = mockNotionFetch(createFakeNotion()));
+  });
+
+  const resolutionsReport = (res) => res.body.databases.find(d => d.name === 'resolutions');
+
+  it('reports a complete setup', async () => {
+    const res = await callHandler(schemaHandler);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.ok).toBe(true);
+    expect(res.body.databases.map(d => [d.name, d.ok])).toEqual([['resolutions', true], ['checkins', true]]);
+  });
+
+  it('reports missing and mistyped properties without changing them', async () => {
+    const { properties } = fake.databases.get(RESOLUTIONS_DATABASE_ID);
+    delete properties['Streak'];
+    properties['Unit'].type = 'select';
+
+    const res = await callHandler(schemaHandler);
+    const report = resolutionsReport(res);
+
+    expect(res.body.ok).toBe(false);
+    expect(report.properties.filter(p => p.status !== 'ok')).toEqual([
+      { field: 'unit', property: 'Unit', type: 'rich_text', actual: 'select', status: 'wrong_type' },
+      { field: 'streak', property: 'Streak', type: 'number', actual: null, status: 'missing' },
+    ]);
+    expect(properties['Streak']).toBeUndefined();
+  });
+
+  it('creates missing properties on POST', async () => {
+    const { properties } = fake.databases.get(RESOLUTIONS_DATABASE_ID);
+    delete properties['Frequency'];
+    delete properties['Streak'];
+
+    const res = await callHandler(schemaHandler, { method: 'POST' });
+
+    expect(res.body.ok).toBe(true);
+    expect(resolutionsReport(res).created).toEqual(['Frequency', 'Streak']);
+    expect(properties['Frequency'].select.options.map(o => o.name)).toEqual(['daily', 'weekly', 'monthly', 'yearly']);
+  });
+
+  it('renames the existing title property instead of adding a second one', async () => {
+    const { properties } = fake.databases.get(RESOLUTIONS_DATABASE_ID);
+    properties['Name'] = { ...properties['Resolution'], name: 'Name' };
+    delete properties['Resolution'];
+
+    const res = await callHandler(schemaHandler, { method: 'POST' });
+
+    expect(res.body.ok).toBe(true);
+    expect(Object.values(properties).filter(p => p.type === 'title').map(p => p.name)).toEqual(['Resolution']);
+  });
+
+  it('checks the mapped property names', async () => {
+    useNotionEnv({ NOTION_PROPERTY_MAP: '{"current":"Done"}' });
+
+    const report = resolutionsReport(await callHandler(schemaHandler));
+    expect(report.properties.find(p => p.field === 'current')).toMatchObject({ property: 'Done', status: 'missing' });
+  });
+
+  it('reports a database the integration can not see', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    useNotionEnv({ NOTION_DATABASE_ID: 'unshared' });
+
+    const res = await callHandler(schemaHandler);
+    expect(res.statusCode).toBe(404);
+    expect(res.body.code).toBe('not_found');
+  });
+});
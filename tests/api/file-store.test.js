@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import resolutionsHandler from '../../api/notion/resolutions.js';
+import checkinsHandler from '../../api/notion/checkins.js';
+import subscriptionsHandler from '../../api/push/subscriptions.js';
+import { ACCESS_TOKEN, callHandler } from '../helpers.js';
+
+describe('STORAGE_BACKEND=file', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'restracker-'));
+    file = join(dir, 'data.json');
+    vi.stubEnv('STORAGE_BACKEND', 'file');
+    vi.stubEnv('LOCAL_DATA_FILE', file);
+    vi.stubEnv('API_ACCESS_TOKEN', ACCESS_TOKEN);
+    vi.stubGlobal('fetch', vi.fn());
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const create = (body) => callHandler(resolutionsHandler, { method: 'POST', body });
+
+  it('starts empty and never calls Notion', async () => {
+    const res = await callHandler(resolutionsHandler);
+
+    expect(res.body).toEqual([]);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('creates, lists, updates and archives resolutions in the file', async () => {
+    const { body: { id } } = await create({ title: 'Swim', category: 'Health', target: 2, unit: 'laps', step: 2 });
+    await create({ title: 'Budget', category: 'Finance', target: 1 });
+
+    const listed = await callHandler(resolutionsHandler);
+    expect(listed.body.map(r => r.title)).toEqual(['Budget', 'Swim']);
+    expect(listed.body[1]).toMatchObject({ id, notionPageId: id, current: 0, frequency: 'weekly', step: 2, archived: false });
+
+    const updated = await callHandler(resolutionsHandler, { method: 'PATCH', body: { pageId: id, updates: { current: 1 } } });
+    expect(updated.statusCode).toBe(200);
+
+    await callHandler(resolutionsHandler, { method: 'DELETE', body: { pageId: id } });
+    expect((await callHandler(resolutionsHandler)).body.map(r => r.title)).toEqual(['Budget']);
+    expect((await callHandler(resolutionsHandler, { query: { archived: 'true' } })).body).toMatchObject([{ id, current: 1 }]);
+
+    const saved = JSON.parse(await readFile(file, 'utf8'));
+    expect(saved.resolutions).toHaveLength(2);
+  });
+
+  it('detects conflicting versions', async () => {
+    const { body: { id, lastEdited } } = await create({ title: 'Swim' });
+    await callHandler(resolutionsHandler, { method: 'PATCH', body: { pageId: id, updates: { current: 1 } } });
+
+    const res = await callHandler(resolutionsHandler, {
+      method: 'PATCH',
+      body: { pageId: id, updates: { current: 5 }, baseVersion: lastEdited },
+    });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.remote.current).toBe(1);
+  });
+
+  it('keeps the check-in log', async () => {
+    const { body: { id } } = await create({ title: 'Swim' });
+    await callHandler(resolutionsHandler, {
+      method: 'PATCH',
+      body: { pageId: id, updates: { current: 1, lastCheckin: '2026-01-05' }, checkin: { amount: 1 } },
+    });
+
+    const res = await callHandler(checkinsHandler, { query: { pageId: id } });
+    expect(res.body).toEqual([{ id: expect.any(String), resolutionId: id, date: '2026-01-05', amount: 1, progress: 1 }]);
+
+    const other = await create({ title: 'Run' });
+    await callHandler(resolutionsHandler, {
+      method: 'PATCH',
+      body: { pageId: other.body.id, updates: { current: 2, lastCheckin: '2026-01-06' }, checkin: { amount: 2 } },
+    });
+    const since = await callHandler(checkinsHandler, { query: { since: '2026-01-06' } });
+    expect(since.body).toMatchObject([{ resolutionId: other.body.id, date: '2026-01-06', amount: 2 }]);
+  });
+
+  it('does not lose concurrent writes', async () => {
+    await Promise.all(['A', 'B', 'C', 'D'].map(title => create({ title })));
+    expect((await callHandler(resolutionsHandler)).body).toHaveLength(4);
+  });
+
+  it('keeps one push subscription per endpoint', async () => {
+    const subscription = {
+      endpoint: 'https://push.example.com/send/abc',
+      keys: { p256dh: Buffer.alloc(65, 4).toString('base64url'), auth: Buffer.alloc(16, 1).toString('base64url') },
+    };
+    const subscribe = (reminderTime) => callHandler(subscriptionsHandler, {
+      method: 'POST',
+      body: { subscription, reminderTime, timeZone: 'UTC' },
+    });
+
+    await subscribe('20:00');
+    await subscribe('08:15');
+    let data = JSON.parse(await readFile(file, 'utf8'));
+    expect(data.subscriptions).toEqual([{ ...subscription, reminderTime: '08:15', timeZone: 'UTC' }]);
+
+    await callHandler(subscriptionsHandler, { method: 'DELETE', body: { endpoint: subscription.endpoint } });
+    data = JSON.parse(await readFile(file, 'utf8'));
+    expect(data.subscriptions).toEqual([]);
+  });
+
+  it('reports unknown resolutions', async () => {
+    const res = await callHandler(resolutionsHandler, { method: 'DELETE', body: { pageId: 'nope' } });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.code).toBe('not_found');
+  });
+});
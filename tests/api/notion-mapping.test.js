@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import handler from '../../api/notion/resolutions.js';
+import { loadPropertyMapping, DEFAULT_MAPPING } from '../../api/_lib/store/notion-mapping.js';
+import { createFakeNotion, RESOLUTIONS_DATABASE_ID } from '../../dev/fake-notion.js';
+import { useNotionEnv, mockNotionFetch, notionRequests, callHandler } from '../helpers.js';
+
+describe('loadPropertyMapping', () => {
+  it('uses the documented defaults without overrides', () => {
+    expect(loadPropertyMapping('')).toEqual(DEFAULT_MAPPING);
+  });
+
+  it('accepts property names and { property, type } entries', () => {
+    const mapping = loadPropertyMapping('{"title":"Goal","unit":{"property":"Units","type":"select"}}');
+
+    expect(mapping.title).toEqual({ property: 'Goal', type: 'title' });
+    expect(mapping.unit).toEqual({ property: 'Units', type: 'select' });
+    expect(mapping.current).toEqual(DEFAULT_MAPPING.current);
+  });
+
+  it.each([
+    ['{"goal":"Goal"}', "unknown field 'goal'"],
+    ['{"target":{"property":"Target","type":"select"}}', "'target' can't be a select property"],
+    ['{"title":"Category"}', "'Category' is mapped to more than one field"],
+    ['{"title":""}', "'title' needs a property name"],
+    ['{not json', 'could not be read'],
+    ['/no/such/file.json', 'could not be read'],
+  ])('rejects %s', (source, message) => {
+    expect(() => loadPropertyMapping(source)).toThrow(message);
+  });
+});
+
+describe('api/notion/resolutions with a property map', () => {
+  let fake;
+  let fetch;
+
+  beforeEach(() => {
+    useNotionEnv({ NOTION_PROPERTY_MAP: '{"title":"Goal","current":"Done","unit":{"property":"Unit","type":"select"}}' });
+    ({ fake, fetch } = mockNotionFetch(createFakeNotion({ seed: false })));
+
+    // An existing database with its own column names
+    const { properties } = fake.databases.get(RESOLUTIONS_DATABASE_ID);
+    properties['Goal'] = { ...properties['Resolution'], name: 'Goal' };
+    properties['Done'] = { ...properties['Current Progress'], name: 'Done' };
+    properties['Unit'] = { ...properties['Unit'], type: 'select', select: { options: [] } };
+    delete properties['Resolution'];
+    delete properties['Current Progress'];
+  });
+
+  it('writes and reads the mapped properties', async () => {
+    const created = await callHandler(handler, { method: 'POST', body: { title: 'Swim', current: 2, unit: 'laps' } });
+    expect(created.statusCode).toBe(201);
+
+    const { properties } = notionRequests(fetch)[0].body;
+    expect(properties['Goal']).toEqual({ title: [{ text: { content: 'Swim' } }] });
+    expect(properties['Done']).toEqual({ number: 2 });
+    expect(properties['Unit']).toEqual({ select: { name: 'laps' } });
+
+    const [resolution] = (await callHandler(handler)).body;
+    expect(resolution).toMatchObject({ title: 'Swim', current: 2, unit: 'laps' });
+  });
+
+  it('sorts by the mapped title', async () => {
+    await callHandler(handler);
+    expect(notionRequests(fetch)[0].body.sorts).toEqual([
+      { property: 'Category', direction: 'ascending' },
+      { property: 'Goal', direction: 'ascending' },
+    ]);
+  });
+
+  it('turns a broken map into a server_config error', async () => {
+    useNotionEnv({ NOTION_PROPERTY_MAP: '{"goal":"Goal"}' });
+    const res = await callHandler(handler);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('server_config');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
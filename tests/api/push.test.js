@@ -0,0 +1,260 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createDecipheriv, createECDH, createPublicKey, hkdfSync, randomBytes, verify } from 'node:crypto';
+import subscriptionsHandler from '../../api/push/subscriptions.js';
+import remindersHandler from '../../api/push/reminders.js';
+import resolutionsHandler from '../../api/notion/resolutions.js';
+import { encryptPayload, generateVapidKeys, vapidAuthorization } from '../../api/_lib/webpush.js';
+import { createFakeNotion, PUSH_DATABASE_ID } from '../../dev/fake-notion.js';
+import { useNotionEnv, mockNotionFetch, callHandler } from '../helpers.js';
+
+const VAPID = { ...generateVapidKeys(), subject: 'mailto:test@example.com' };
+
+// A browser's side of a subscription: its key pair and auth secret
+const createBrowser = (endpoint = 'https://push.example.com/send/abc') => {
+  const ecdh = createECDH('prime256v1');
+  const p256dh = ecdh.generateKeys().toString('base64url');
+  const auth = randomBytes(16).toString('base64url');
+  return { ecdh, subscription: { endpoint, keys: { p256dh, auth } } };
+};
+
+const hkdf = (ikm, salt, info, length) => Buffer.from(hkdfSync('sha256', ikm, salt, info, length));
+
+// What the browser does with an aes128gcm push message (RFC 8291)
+const decrypt = (body, { ecdh, subscription }) => {
+  const salt = body.subarray(0, 16);
+  const keyLength = body[20];
+  const serverPublicKey = body.subarray(21, 21 + keyLength);
+  const ciphertext = body.subarray(21 + keyLength);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverPublicKey]);
+  const ikm = hkdf(ecdh.computeSecret(serverPublicKey), Buffer.from(subscription.keys.auth, 'base64url'), keyInfo, 32);
+  const decipher = createDecipheriv(
+    'aes-128-gcm',
+    hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+    hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12)
+  );
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+  expect(plaintext.at(-1)).toBe(2);
+  return plaintext.subarray(0, -1).toString();
+};
+
+describe('api/_lib/webpush', () => {
+  it('encrypts payloads only the subscribed browser can read', () => {
+    const browser = createBrowser();
+    const body = encryptPayload('{"title":"Time to check in"}', browser.subscription.keys);
+
+    expect(body.readUInt32BE(16)).toBe(4096);
+    expect(decrypt(body, browser)).toBe('{"title":"Time to check in"}');
+    expect(() => decrypt(body, { ...createBrowser(), subscription: browser.subscription })).toThrow();
+  });
+
+  it('signs a VAPID token for the push service origin', () => {
+    const header = vapidAuthorization('https://push.example.com/send/abc', VAPID, Date.parse('2026-03-01T00:00:00Z'));
+    const [, token, key] = header.match(/^vapid t=(\S+), k=(\S+)$/);
+    const [encodedHeader, encodedClaims, signature] = token.split('.');
+
+    expect(key).toBe(VAPID.publicKey);
+    expect(JSON.parse(Buffer.from(encodedClaims, 'base64url'))).toEqual({
+      aud: 'https://push.example.com',
+      exp: Date.parse('2026-03-01T12:00:00Z') / 1000,
+      sub: 'mailto:test@example.com',
+    });
+
+    const point = Buffer.from(key, 'base64url');
+    const publicKey = createPublicKey({
+      format: 'jwk',
+      key: { kty: 'EC', crv: 'P-256', x: point.subarray(1, 33).toString('base64url'), y: point.subarray(33).toString('base64url') },
+    });
+    expect(verify(
+      'sha256',
+      Buffer.from(`${encodedHeader}.${encodedClaims}`),
+      { key: publicKey, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(signature, 'base64url')
+    )).toBe(true);
+  });
+});
+
+describe('api/push/subscriptions', () => {
+  let fake;
+
+  beforeEach(() => {
+    useNotionEnv({
+      NOTION_PUSH_DATABASE_ID: PUSH_DATABASE_ID,
+      VAPID_PUBLIC_KEY: VAPID.publicKey,
+      VAPID_PRIVATE_KEY: VAPID.privateKey,
+      VAPID_SUBJECT: VAPID.subject,
+    });
+    ({ fake } = mockNotionFetch(createFakeNotion()));
+  });
+
+  const subscriptionPages = () => [...fake.pages.values()]
+    .filter(page => page.parent.database_id === PUSH_DATABASE_ID && !page.archived);
+
+  const subscribe = (body) => callHandler(subscriptionsHandler, { method: 'POST', body });
+
+  it('hands out the VAPID public key', async () => {
+    const res = await callHandler(subscriptionsHandler);
+    expect(res.body).toEqual({ publicKey: VAPID.publicKey });
+  });
+
+  it('needs VAPID keys to be configured', async () => {
+    vi.stubEnv('VAPID_PRIVATE_KEY', '');
+    const res = await callHandler(subscriptionsHandler);
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('server_config');
+  });
+
+  it('stores one subscription per endpoint', async () => {
+    const { subscription } = createBrowser();
+
+    await subscribe({ subscription, reminderTime: '20:00', timeZone: 'Europe/Berlin' });
+    const res = await subscribe({ subscription, reminderTime: '07:30', timeZone: 'Europe/Berlin' });
+
+    expect(res.statusCode).toBe(200);
+    expect(subscriptionPages()).toHaveLength(1);
+    expect(subscriptionPages()[0].properties['Reminder Time'].rich_text[0].plain_text).toBe('07:30');
+
+    await callHandler(subscriptionsHandler, { method: 'DELETE', body: { endpoint: subscription.endpoint } });
+    expect(subscriptionPages()).toHaveLength(0);
+  });
+
+  it('validates the subscription', async () => {
+    const res = await subscribe({
+      subscription: { endpoint: 'http://push.example.com/x', keys: { p256dh: 'abc', auth: 'abc' } },
+      reminderTime: '25:00',
+      timeZone: 'Mars/Olympus',
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(Object.keys(res.body.fields)).toEqual([
+      'subscription.endpoint',
+      'subscription.keys.p256dh',
+      'subscription.keys.auth',
+      'reminderTime',
+      'timeZone',
+    ]);
+  });
+
+  it('needs the push database to be configured', async () => {
+    useNotionEnv({ NOTION_PUSH_DATABASE_ID: '' });
+    const res = await subscribe({ ...createBrowser(), reminderTime: '20:00', timeZone: 'UTC' });
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('server_config');
+  });
+});
+
+describe('api/push/reminders', () => {
+  let fake;
+  let pushes;
+  let pushStatus;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    // 20:30 in Berlin, 14:30 in New York
+    vi.setSystemTime(new Date('2026-03-10T19:30:00Z'));
+
+    useNotionEnv({
+      NOTION_PUSH_DATABASE_ID: PUSH_DATABASE_ID,
+      VAPID_PUBLIC_KEY: VAPID.publicKey,
+      VAPID_PRIVATE_KEY: VAPID.privateKey,
+      VAPID_SUBJECT: VAPID.subject,
+    });
+    const { fetch: notionFetch } = mockNotionFetch((fake = createFakeNotion()));
+
+    // Notion calls go to the fake; anything else is a push service
+    pushes = [];
+    pushStatus = 201;
+    vi.stubGlobal('fetch', vi.fn(async (url, options) => {
+      if (new URL(url).hostname === 'api.notion.com') return notionFetch(url, options);
+      pushes.push({ url, headers: options.headers, body: options.body });
+      return new Response(null, { status: pushStatus });
+    }));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const subscribe = async (browser, reminderTime, timeZone = 'Europe/Berlin') => {
+    await callHandler(subscriptionsHandler, { method: 'POST', body: { subscription: browser.subscription, reminderTime, timeZone } });
+    return browser;
+  };
+
+  const checkInEverything = async (date) => {
+    for (const { id } of (await callHandler(resolutionsHandler)).body) {
+      await callHandler(resolutionsHandler, { method: 'PATCH', body: { pageId: id, updates: { lastCheckin: date } } });
+    }
+  };
+
+  const runReminders = (query) => callHandler(remindersHandler, { query });
+
+  it('pushes due reminders once a day, listing resolutions without a check-in', async () => {
+    const browser = await subscribe(createBrowser(), '20:00');
+
+    const res = await runReminders();
+
+    expect(res.body).toEqual({ due: 1, sent: 1, skipped: 0, expired: 0, failed: 0 });
+    expect(pushes).toHaveLength(1);
+    expect(pushes[0].url).toBe(browser.subscription.endpoint);
+    expect(pushes[0].headers).toMatchObject({ 'Content-Encoding': 'aes128gcm', 'TTL': '14400' });
+    expect(JSON.parse(decrypt(pushes[0].body, browser))).toEqual({
+      title: 'Time to check in',
+      body: '3 resolutions without a check-in today: Save $10,000, Exercise 4x per week, Read 24 books',
+      url: '/?action=checkin',
+    });
+
+    expect((await runReminders()).body.due).toBe(0);
+    expect(pushes).toHaveLength(1);
+  });
+
+  it('waits for the reminder time on the subscriber\'s clock', async () => {
+    await subscribe(createBrowser(), '20:00', 'America/New_York');
+
+    expect((await runReminders()).body.due).toBe(0);
+
+    vi.setSystemTime(new Date('2026-03-11T00:00:00Z'));
+    expect((await runReminders()).body.sent).toBe(1);
+  });
+
+  it('skips the reminder when everything is checked in today', async () => {
+    await subscribe(createBrowser(), '20:00');
+    await checkInEverything('2026-03-10');
+
+    expect((await runReminders()).body).toMatchObject({ due: 1, sent: 0, skipped: 1 });
+    expect(pushes).toHaveLength(0);
+  });
+
+  it('forgets subscriptions the push service no longer knows', async () => {
+    await subscribe(createBrowser(), '20:00');
+    pushStatus = 410;
+
+    expect((await runReminders()).body).toMatchObject({ sent: 0, expired: 1 });
+    expect([...fake.pages.values()].filter(p => p.parent.database_id === PUSH_DATABASE_ID && !p.archived)).toHaveLength(0);
+  });
+
+  it('retries failed deliveries on the next run', async () => {
+    await subscribe(createBrowser(), '20:00');
+    pushStatus = 500;
+    expect((await runReminders()).body).toMatchObject({ sent: 0, failed: 1 });
+
+    pushStatus = 201;
+    expect((await runReminders()).body).toMatchObject({ sent: 1, failed: 0 });
+  });
+
+  it('reports what it would send on a dry run without a push service', async () => {
+    vi.stubEnv('VAPID_PRIVATE_KEY', '');
+    const browser = await subscribe(createBrowser(), '20:00');
+
+    const res = await runReminders({ dryRun: 'true' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.reminders).toEqual([{
+      endpoint: browser.subscription.endpoint,
+      message: expect.objectContaining({ title: 'Time to check in' }),
+    }]);
+    expect(pushes).toHaveLength(0);
+    expect((await runReminders({ dryRun: 'true' })).body.due).toBe(1);
+  });
+});
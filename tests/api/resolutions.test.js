@@ -0,0 +1,393 @@
+import { describe, it, expect, beforeEach, vi, onTestFinished } from 'vitest';
+import handler from '../../api/notion/resolutions.js';
+import { createFakeNotion, RESOLUTIONS_DATABASE_ID, CHECKINS_DATABASE_ID } from '../../dev/fake-notion.js';
+import { useNotionEnv, mockNotionFetch, notionRequests, callHandler } from '../helpers.js';
+
+const notionPatches = (fetch) => notionRequests(fetch).filter(r => r.method === 'PATCH');
+
+describe('api/notion/resolutions', () => {
+  let fake;
+  let fetch;
+
+  beforeEach(() => {
+    useNotionEnv();
+    ({ fake, fetch } = mockNotionFetch(createFakeNotion()));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('access', () => {
+    it('answers preflight requests without a token', async () => {
+      const res = await callHandler(handler, { method: 'OPTIONS', headers: { authorization: '' } });
+      expect(res.statusCode).toBe(200);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('rejects requests without the access token', async () => {
+      const res = await callHandler(handler, { headers: { authorization: 'Bearer wrong' } });
+      expect(res.statusCode).toBe(401);
+      expect(res.body.code).toBe('unauthorized');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('only sends CORS headers to allowlisted origins', async () => {
+      useNotionEnv({ ALLOWED_ORIGINS: 'https://allowed.example' });
+
+      const allowed = await callHandler(handler, { method: 'OPTIONS', headers: { origin: 'https://allowed.example' } });
+      const other = await callHandler(handler, { method: 'OPTIONS', headers: { origin: 'https://other.example' } });
+
+      expect(allowed.headers['access-control-allow-origin']).toBe('https://allowed.example');
+      expect(other.headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    it('reports missing Notion configuration', async () => {
+      useNotionEnv({ NOTION_API_KEY: '' });
+      const res = await callHandler(handler);
+      expect(res.statusCode).toBe(500);
+      expect(res.body.code).toBe('server_config');
+    });
+
+    it('refuses unsupported methods', async () => {
+      const res = await callHandler(handler, { method: 'PUT' });
+      expect(res.statusCode).toBe(405);
+      expect(res.body.code).toBe('method_not_allowed');
+    });
+  });
+
+  describe('GET', () => {
+    it('transforms Notion pages into resolutions', async () => {
+      const res = await callHandler(handler);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.map(r => r.title)).toEqual(['Save $10,000', 'Exercise 4x per week', 'Read 24 books']);
+
+      const [finance] = res.body;
+      const page = [...fake.pages.values()].find(p => p.id === finance.id);
+      expect(finance).toEqual({
+        id: page.id,
+        notionPageId: page.id,
+        title: 'Save $10,000',
+        category: 'Finance',
+        target: 10000,
+        current: 850,
+        unit: 'dollars',
+        frequency: 'yearly',
+        streak: 0,
+        lastCheckin: '',
+        step: null,
+        lastEdited: page.last_edited_time,
+        archived: false,
+      });
+    });
+
+    it('fills defaults for empty properties', async () => {
+      fake.handle({
+        method: 'POST',
+        path: '/v1/pages',
+        headers: { authorization: 'Bearer fake-notion-key', 'notion-version': '2022-06-28' },
+        body: { parent: { database_id: RESOLUTIONS_DATABASE_ID }, properties: {} },
+      });
+
+      const res = await callHandler(handler);
+      expect(res.body.find(r => r.title === 'Untitled')).toMatchObject({
+        category: 'Personal Growth', target: 0, current: 0, unit: 'times', frequency: 'weekly', streak: 0, lastCheckin: '',
+      });
+    });
+
+    it('passes filters on to the Notion query', async () => {
+      const res = await callHandler(handler, { query: { category: 'Health', frequency: 'weekly' } });
+
+      expect(res.body.map(r => r.title)).toEqual(['Exercise 4x per week']);
+      expect(notionRequests(fetch)[0].body.filter).toEqual({
+        and: [
+          { property: 'Category', select: { equals: 'Health' } },
+          { property: 'Frequency', select: { equals: 'weekly' } },
+        ],
+      });
+    });
+
+    it('rejects unknown filter values', async () => {
+      const res = await callHandler(handler, { query: { category: 'Hobbies', archived: 'maybe' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('validation_error');
+      expect(Object.keys(res.body.fields)).toEqual(['category', 'archived']);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('refuses to list archived pages, which Notion queries never return', async () => {
+      const res = await callHandler(handler, { query: { archived: 'all' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('validation_error');
+      expect(Object.keys(res.body.fields)).toEqual(['archived']);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('follows Notion pagination past 100 rows', async () => {
+      for (let i = 0; i < 150; i++) {
+        await callHandler(handler, { method: 'POST', body: { title: `Goal ${i}`, target: 1 } });
+      }
+      fetch.mockClear();
+
+      const res = await callHandler(handler);
+
+      expect(res.body).toHaveLength(153);
+      expect(notionRequests(fetch).map(r => r.body.start_cursor)).toEqual([undefined, expect.any(String)]);
+      expect(res.headers['x-next-cursor']).toBeUndefined();
+    });
+
+    it('hands back a cursor when the time budget runs out', async () => {
+      for (let i = 0; i < 150; i++) {
+        await callHandler(handler, { method: 'POST', body: { title: `Goal ${i}`, target: 1 } });
+      }
+      // Every call to Date.now() is another 8 seconds later
+      let clock = 0;
+      vi.spyOn(Date, 'now').mockImplementation(() => (clock += 8000));
+
+      const first = await callHandler(handler);
+      expect(first.body).toHaveLength(100);
+      expect(first.headers['x-next-cursor']).toEqual(expect.any(String));
+
+      const rest = await callHandler(handler, { query: { cursor: first.headers['x-next-cursor'] } });
+      expect(rest.body).toHaveLength(53);
+      expect(rest.headers['x-next-cursor']).toBeUndefined();
+    });
+
+    it('maps Notion failures onto the error contract', async () => {
+      fake.failNext(429);
+      const res = await callHandler(handler);
+
+      expect(res.statusCode).toBe(429);
+      expect(res.body).toEqual({ code: 'rate_limited', message: expect.stringContaining('Failed to fetch from Notion') });
+    });
+
+    it('reports Notion outages as a bad gateway', async () => {
+      fake.failNext(503);
+      const res = await callHandler(handler);
+
+      expect(res.statusCode).toBe(502);
+      expect(res.body.code).toBe('notion_error');
+    });
+  });
+
+  describe('PATCH', () => {
+    let pageId;
+    beforeEach(async () => {
+      pageId = (await callHandler(handler)).body.find(r => r.title === 'Read 24 books').id;
+      fetch.mockClear();
+    });
+
+    it('builds Notion properties for the changed fields only', async () => {
+      const res = await callHandler(handler, {
+        method: 'PATCH',
+        body: { pageId, updates: { current: 4, lastCheckin: '2026-01-10', streak: 2 } },
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toMatchObject({ success: true, id: pageId, checkinLogged: false });
+      expect(notionPatches(fetch)).toEqual([{
+        method: 'PATCH',
+        path: `/v1/pages/${pageId}`,
+        body: {
+          properties: {
+            'Current Progress': { number: 4 },
+            'Streak': { number: 2 },
+            'Last Check-in': { date: { start: '2026-01-10' } },
+          },
+        },
+      }]);
+    });
+
+    it('writes every editable field with its Notion type', async () => {
+      await callHandler(handler, {
+        method: 'PATCH',
+        body: { pageId, updates: { title: 'Read 30 books', category: 'Career', target: 30, unit: 'novels', frequency: 'monthly', step: 5 } },
+      });
+
+      expect(notionPatches(fetch)[0].body.properties).toEqual({
+        'Resolution': { title: [{ text: { content: 'Read 30 books' } }] },
+        'Category': { select: { name: 'Career' } },
+        'Target': { number: 30 },
+        'Unit': { rich_text: [{ text: { content: 'novels' } }] },
+        'Frequency': { select: { name: 'monthly' } },
+        'Step': { number: 5 },
+      });
+
+      const updated = (await callHandler(handler)).body.find(r => r.id === pageId);
+      expect(updated).toMatchObject({ title: 'Read 30 books', category: 'Career', target: 30, unit: 'novels', frequency: 'monthly', step: 5 });
+    });
+
+    it('returns the new page version', async () => {
+      const res = await callHandler(handler, { method: 'PATCH', body: { pageId, updates: { current: 5 } } });
+      expect(res.body.lastEdited).toBe(fake.pages.get(pageId).last_edited_time);
+    });
+
+    it('logs check-ins to the check-in database', async () => {
+      const res = await callHandler(handler, {
+        method: 'PATCH',
+        body: { pageId, updates: { current: 4, lastCheckin: '2026-01-10' }, checkin: { amount: 1 } },
+      });
+
+      expect(res.body.checkinLogged).toBe(true);
+      const entry = [...fake.pages.values()].find(p => p.parent.database_id === CHECKINS_DATABASE_ID);
+      expect(entry.properties['Resolution'].relation).toEqual([{ id: pageId }]);
+      expect(entry.properties['Date'].date.start).toBe('2026-01-10');
+      expect(entry.properties['Amount'].number).toBe(1);
+      expect(entry.properties['Progress'].number).toBe(4);
+    });
+
+    it("logs undated check-ins on today's date in the client's time zone", async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date('2026-01-11T02:00:00Z'));
+      onTestFinished(() => vi.useRealTimers());
+
+      await callHandler(handler, {
+        method: 'PATCH',
+        headers: { 'x-time-zone': 'America/Los_Angeles' },
+        body: { pageId, updates: { current: 4 }, checkin: { amount: 1 } },
+      });
+
+      const entry = [...fake.pages.values()].find(p => p.parent.database_id === CHECKINS_DATABASE_ID);
+      expect(entry.properties['Date'].date.start).toBe('2026-01-10');
+    });
+
+    it('rejects unknown time zones', async () => {
+      const res = await callHandler(handler, {
+        method: 'PATCH',
+        headers: { 'x-time-zone': 'Mars/Olympus_Mons' },
+        body: { pageId, updates: { current: 4 } },
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.fields).toEqual({ timeZone: 'X-Time-Zone must be an IANA time zone such as America/New_York' });
+    });
+
+    it('skips the log when no check-in database is configured', async () => {
+      useNotionEnv({ NOTION_CHECKINS_DATABASE_ID: '' });
+      const res = await callHandler(handler, {
+        method: 'PATCH',
+        body: { pageId, updates: { current: 4 }, checkin: { amount: 1 } },
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.checkinLogged).toBe(false);
+    });
+
+    it('refuses updates made against an older version', async () => {
+      const res = await callHandler(handler, {
+        method: 'PATCH',
+        body: { pageId, updates: { current: 9 }, baseVersion: '2020-01-01T00:00:00.000Z' },
+      });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.code).toBe('conflict');
+      expect(res.body.remote).toMatchObject({ id: pageId, current: 3 });
+      expect(notionPatches(fetch)).toEqual([]);
+    });
+
+    it('applies updates made against the current version', async () => {
+      const baseVersion = fake.pages.get(pageId).last_edited_time;
+      const res = await callHandler(handler, { method: 'PATCH', body: { pageId, updates: { current: 9 }, baseVersion } });
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('validates the request body', async () => {
+      const res = await callHandler(handler, {
+        method: 'PATCH',
+        body: { updates: { target: -1, lastCheckin: 'yesterday', step: 0 }, checkin: { amount: 'one' } },
+      });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.fields).toEqual({
+        pageId: 'pageId is required',
+        'updates.target': 'Must be a number greater than 0',
+        'updates.lastCheckin': 'Must be a date formatted YYYY-MM-DD',
+        'updates.step': 'Must be a number greater than 0',
+        'checkin.amount': 'Must be a number',
+      });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('reports pages Notion can not find', async () => {
+      const res = await callHandler(handler, { method: 'PATCH', body: { pageId: 'missing', updates: { current: 1 } } });
+      expect(res.statusCode).toBe(404);
+      expect(res.body.code).toBe('not_found');
+    });
+  });
+
+  describe('POST', () => {
+    it('creates a page with defaults for missing fields', async () => {
+      const res = await callHandler(handler, { method: 'POST', body: { title: 'Learn to juggle' } });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body).toMatchObject({ success: true, id: expect.any(String), lastEdited: expect.any(String) });
+
+      const [request] = notionRequests(fetch);
+      expect(request.body).toEqual({
+        parent: { database_id: RESOLUTIONS_DATABASE_ID },
+        properties: {
+          'Resolution': { title: [{ text: { content: 'Learn to juggle' } }] },
+          'Category': { select: { name: 'Personal Growth' } },
+          'Target': { number: 0 },
+          'Current Progress': { number: 0 },
+          'Unit': { rich_text: [{ text: { content: 'times' } }] },
+          'Frequency': { select: { name: 'weekly' } },
+          'Streak': { number: 0 },
+        },
+      });
+    });
+
+    it('accepts the whole local record the app sends', async () => {
+      const res = await callHandler(handler, {
+        method: 'POST',
+        body: {
+          id: 'local-1', notionPageId: null, title: 'Swim', category: 'Health', target: 2, current: 0,
+          unit: 'laps', frequency: 'daily', streak: 0, lastCheckin: '2026-01-10', step: 4, history: [],
+        },
+      });
+
+      expect(res.statusCode).toBe(201);
+      expect(fake.pages.get(res.body.id).properties['Last Check-in'].date.start).toBe('2026-01-10');
+      expect(fake.pages.get(res.body.id).properties['Step'].number).toBe(4);
+    });
+
+    it('validates the request body', async () => {
+      const res = await callHandler(handler, { method: 'POST', body: { category: 'Hobbies', target: 0 } });
+
+      expect(res.statusCode).toBe(400);
+      expect(Object.keys(res.body.fields).sort()).toEqual(['category', 'target', 'title']);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('passes on Notion schema errors readably', async () => {
+      fake.databases.get(RESOLUTIONS_DATABASE_ID).properties['Unit'].type = 'select';
+      const res = await callHandler(handler, { method: 'POST', body: { title: 'Swim' } });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({ code: 'notion_rejected', message: 'Failed to create in Notion: Unit is expected to be select.' });
+    });
+  });
+
+  describe('DELETE', () => {
+    it('archives the page', async () => {
+      const pageId = (await callHandler(handler)).body[0].id;
+      const res = await callHandler(handler, { method: 'DELETE', body: { pageId } });
+
+      expect(res.statusCode).toBe(200);
+      expect(fake.pages.get(pageId).archived).toBe(true);
+      expect((await callHandler(handler)).body.map(r => r.id)).not.toContain(pageId);
+    });
+
+    it('requires a pageId', async () => {
+      const res = await callHandler(handler, { method: 'DELETE', body: {} });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.fields).toEqual({ pageId: 'pageId is required' });
+    });
+
+    it('rejects a missing body', async () => {
+      const res = await callHandler(handler, { method: 'DELETE' });
+      expect(res.statusCode).toBe(400);
+      expect(res.body.fields).toEqual({ body: 'Request body must be a JSON object' });
+    });
+  });
+});
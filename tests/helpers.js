@@ -0,0 +1,185 @@
+// tests/helpers.js
+// Shared setup: the API routes run against the fake Notion server in
+// dev/fake-notion.js through a mocked fetch, with Vercel's req/res stubbed.
+
+import { vi } from 'vitest';
+import { createFakeNotion, FAKE_API_KEY, RESOLUTIONS_DATABASE_ID, CHECKINS_DATABASE_ID } from '../dev/fake-notion.js';
+import resolutionsHandler from '../api/notion/resolutions.js';
+import checkinsHandler from '../api/notion/checkins.js';
+import schemaHandler from '../api/notion/schema.js';
+import subscriptionsHandler from '../api/push/subscriptions.js';
+
+export const ACCESS_TOKEN = 'test-access-token';
+
+// Environment for the Notion backend pointed at the fake
+export function useNotionEnv(overrides = {}) {
+  const env = {
+    STORAGE_BACKEND: 'notion',
+    API_ACCESS_TOKEN: ACCESS_TOKEN,
+    NOTION_API_KEY: FAKE_API_KEY,
+    NOTION_DATABASE_ID: RESOLUTIONS_DATABASE_ID,
+    NOTION_CHECKINS_DATABASE_ID: CHECKINS_DATABASE_ID,
+    NOTION_API_BASE_URL: '',
+    NOTION_PROPERTY_MAP: '',
+    ALLOWED_ORIGINS: '',
+    ...overrides,
+  };
+  for (const [key, value] of Object.entries(env)) {
+    vi.stubEnv(key, value);
+  }
+}
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+const lowerCaseKeys = (headers = {}) => Object.fromEntries(
+  Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])
+);
+
+const parseBody = (options) => (options.body ? JSON.parse(options.body) : undefined);
+
+// fetch() for Notion API URLs, answered by `fake`
+const fakeNotionFetch = (fake) => vi.fn(async (url, options = {}) => {
+  const { status, body } = fake.handle({
+    method: options.method || 'GET',
+    path: new URL(url).pathname,
+    headers: lowerCaseKeys(options.headers),
+    body: parseBody(options),
+  });
+  return jsonResponse(status, body);
+});
+
+// Stub the global fetch with one that answers Notion API calls from `fake`;
+// inspect what the handler sent with `notionRequests(fetch)`
+export function mockNotionFetch(fake = createFakeNotion()) {
+  const fetch = fakeNotionFetch(fake);
+  vi.stubGlobal('fetch', fetch);
+  return { fake, fetch };
+}
+
+// [{ method, path, body }] for every Notion call the mock received
+export const notionRequests = (fetch) => fetch.mock.calls.map(([url, options = {}]) => ({
+  method: options.method || 'GET',
+  path: new URL(url).pathname,
+  body: parseBody(options),
+}));
+
+export function mockResponse() {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.setHeader = (key, value) => { res.headers[key.toLowerCase()] = value; };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.end = () => res;
+  return res;
+}
+
+// Call a route handler the way Vercel would, authorized by default
+export async function callHandler(handler, { method = 'GET', query = {}, body, headers = {} } = {}) {
+  const res = mockResponse();
+  await handler({
+    method,
+    query,
+    body,
+    headers: { authorization: `Bearer ${ACCESS_TOKEN}`, ...headers },
+  }, res);
+  return res;
+}
+
+const ROUTES = {
+  '/api/notion/resolutions': resolutionsHandler,
+  '/api/notion/checkins': checkinsHandler,
+  '/api/notion/schema': schemaHandler,
+  '/api/push/subscriptions': subscriptionsHandler,
+};
+
+// A fetch mock for the browser side: /api/* calls go through the real route
+// handlers, which talk to `fake` through a Notion fetch mock of their own
+export function mockApiFetch(fake = createFakeNotion()) {
+  const notionFetch = fakeNotionFetch(fake);
+
+  const apiFetch = vi.fn(async (url, options = {}) => {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    const handler = ROUTES[pathname];
+    if (!handler) return jsonResponse(404, { code: 'not_found', message: `No API route at ${pathname}` });
+
+    const res = mockResponse();
+    await handler({
+      method: options.method || 'GET',
+      query: Object.fromEntries(searchParams),
+      body: parseBody(options),
+      headers: lowerCaseKeys(options.headers),
+    }, res);
+
+    return new Response(res.body === undefined ? null : JSON.stringify(res.body), {
+      status: res.statusCode,
+      headers: { 'Content-Type': 'application/json', ...res.headers },
+    });
+  });
+
+  // One global fetch serves both sides: relative URLs are the app calling the API
+  vi.stubGlobal('fetch', (url, options) => (
+    String(url).startsWith('/') ? apiFetch(url, options) : notionFetch(url, options)
+  ));
+  return { fake, apiFetch, notionFetch };
+}
+
+// Just enough of IndexedDB for the offline queue (src/services/pendingQueue.js
+// and the service worker): object stores with optional keyPath,
+// get/getAll/put/delete, and transactions that complete after their requests
+// (everything asynchronous, like the real thing)
+export function createFakeIndexedDB() {
+  const databases = new Map();
+  const later = (fn) => setTimeout(fn, 0);
+
+  const request = (compute) => {
+    const req = {};
+    later(() => {
+      req.result = compute();
+      req.onsuccess?.();
+    });
+    return req;
+  };
+
+  const openDatabase = (stores) => ({
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name, { keyPath } = {}) => stores.set(name, { keyPath, records: new Map() }),
+    transaction(name) {
+      const { keyPath, records } = stores.get(name);
+      const tx = {
+        objectStore: () => ({
+          get: (key) => request(() => records.get(key)),
+          getAll: () => request(() => [...records.keys()].sort().map(key => records.get(key))),
+          put: (value, key) => request(() => records.set(keyPath ? value[keyPath] : key, structuredClone(value))),
+          delete: (key) => request(() => records.delete(key)),
+        }),
+      };
+      // Requests made right away are queued first, so this runs after them
+      later(() => later(() => tx.oncomplete?.()));
+      return tx;
+    },
+    stores,
+  });
+
+  return {
+    databases,
+    open(name) {
+      const req = {};
+      later(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        req.result = openDatabase(databases.get(name));
+        if (isNew) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    },
+  };
+}
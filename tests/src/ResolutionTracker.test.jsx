@@ -0,0 +1,698 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor, within, cleanup, act } from '@testing-library/react';
+import ResolutionTracker from '../../src/ResolutionTracker.jsx';
+import { createFakeNotion, FAKE_API_KEY, PUSH_DATABASE_ID, CHECKINS_DATABASE_ID } from '../../dev/fake-notion.js';
+import { generateVapidKeys } from '../../api/_lib/webpush.js';
+import { ACCESS_TOKEN, useNotionEnv, mockApiFetch } from '../helpers.js';
+import { dateKeyIn, deviceTimeZone } from '../../src/utils/periods.js';
+import { serviceWorker } from '../../src/services/serviceWorker.js';
+
+const card = (title) => screen.getByText(title).closest('.glass-card');
+
+const clickOnCard = (title, label) => {
+  fireEvent.click(within(card(title)).getByRole('button', { name: label }));
+};
+
+const setOnline = (online) => {
+  Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => online });
+  act(() => {
+    window.dispatchEvent(new Event(online ? 'online' : 'offline'));
+  });
+};
+
+const pageTitled = (fake, title) => [...fake.pages.values()].find(page => (
+  page.properties['Resolution']?.title.map(t => t.plain_text).join('') === title
+));
+
+const pendingOperations = () => JSON.parse(localStorage.getItem('pendingUpdates') || '[]');
+
+// Edit a page behind the app's back, as a Notion user or a Zap would
+const editInNotion = (fake, pageId, properties) => fake.handle({
+  method: 'PATCH',
+  path: `/v1/pages/${pageId}`,
+  headers: { authorization: `Bearer ${FAKE_API_KEY}`, 'notion-version': '2022-06-28' },
+  body: { properties },
+});
+
+describe('ResolutionTracker', () => {
+  let fake;
+  let apiFetch;
+
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('accessToken', JSON.stringify(ACCESS_TOKEN));
+    useNotionEnv();
+    ({ fake, apiFetch } = mockApiFetch(createFakeNotion()));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    cleanup();
+    delete window.navigator.onLine;
+  });
+
+  const renderSynced = async () => {
+    render(<ResolutionTracker />);
+    await screen.findByText('Synced with Notion');
+  };
+
+  describe('loading', () => {
+    it('shows resolutions from Notion with their progress', async () => {
+      await renderSynced();
+
+      expect(screen.getByText('Read 24 books')).toBeTruthy();
+      expect(within(card('Read 24 books')).getByText('13%')).toBeTruthy();
+      expect(within(card('Exercise 4x per week')).getByText('1 / 4 sessions this week')).toBeTruthy();
+    });
+
+    it('falls back to demo data when the API is unreachable', async () => {
+      vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+      render(<ResolutionTracker />);
+
+      expect(await screen.findByText('Demo mode')).toBeTruthy();
+      expect(screen.getByText('Meditate daily')).toBeTruthy();
+    });
+
+    it('keeps cached resolutions instead of demo data when the API fails', async () => {
+      localStorage.setItem('resolutions', JSON.stringify([
+        { id: 'cached-1', notionPageId: 'cached-1', title: 'Cached goal', category: 'Health', target: 2, current: 1, unit: 'runs', frequency: 'weekly', streak: 0, lastCheckin: '' },
+      ]));
+      fake.failNext(503);
+      render(<ResolutionTracker />);
+
+      expect(await screen.findByText('Offline mode')).toBeTruthy();
+      expect(screen.getByText('Cached goal')).toBeTruthy();
+      expect(screen.queryByText('Meditate daily')).toBeNull();
+    });
+
+    it('asks for the access token when the API refuses the stored one', async () => {
+      localStorage.setItem('accessToken', JSON.stringify('revoked'));
+      render(<ResolutionTracker />);
+
+      expect(await screen.findByPlaceholderText('Access token')).toBeTruthy();
+    });
+  });
+
+  describe('progress', () => {
+    it('sends check-ins to Notion', async () => {
+      await renderSynced();
+      clickOnCard('Exercise 4x per week', '+');
+
+      await waitFor(() => {
+        expect(pageTitled(fake, 'Exercise 4x per week').properties['Current Progress'].number).toBe(2);
+      });
+      expect(within(card('Exercise 4x per week')).getByText('2 / 4 sessions this week')).toBeTruthy();
+      expect(await screen.findByText('Synced with Notion')).toBeTruthy();
+
+      const [, request] = apiFetch.mock.calls.find(([, options]) => options?.method === 'PATCH');
+      expect(JSON.parse(request.body)).toMatchObject({ updates: { current: 2, streak: 1 }, checkin: { amount: 1 } });
+    });
+
+    it('dates check-ins in the time zone from settings', async () => {
+      localStorage.setItem('settings', JSON.stringify({ timeZone: 'Pacific/Kiritimati' }));
+      await renderSynced();
+      clickOnCard('Exercise 4x per week', '+');
+
+      await waitFor(() => expect(apiFetch.mock.calls.some(([, options]) => options?.method === 'PATCH')).toBe(true));
+      const [, request] = apiFetch.mock.calls.find(([, options]) => options?.method === 'PATCH');
+      expect(request.headers['X-Time-Zone']).toBe('Pacific/Kiritimati');
+      expect(JSON.parse(request.body).updates.lastCheckin).toBe(dateKeyIn(new Date(), 'Pacific/Kiritimati'));
+    });
+
+    it('shows the pace and projected finish on the cards', async () => {
+      await renderSynced();
+
+      expect(within(card('Save $10,000')).getByText(/^(Ahead|On track|Behind)$/)).toBeTruthy();
+      expect(within(card('Save $10,000')).getByText(/^(On pace to finish|At this pace:) /)).toBeTruthy();
+    });
+
+    it('never goes below zero', async () => {
+      await renderSynced();
+      clickOnCard('Exercise 4x per week', '−');
+      clickOnCard('Exercise 4x per week', '−');
+
+      await waitFor(() => {
+        expect(within(card('Exercise 4x per week')).getByText('0 / 4 sessions this week')).toBeTruthy();
+      });
+    });
+
+    it('shows a sync error when Notion rejects the update', async () => {
+      await renderSynced();
+      fake.failNext(500);
+      clickOnCard('Exercise 4x per week', '+');
+
+      expect(await screen.findByText('Sync error')).toBeTruthy();
+      expect(screen.getByText(/Failed to update in Notion/)).toBeTruthy();
+    });
+  });
+
+  describe('check-in amounts', () => {
+    const openDetail = (title) => fireEvent.click(screen.getByText(title));
+    const enter = (mode, amount) => {
+      fireEvent.change(screen.getByLabelText('Entry mode'), { target: { value: mode } });
+      fireEvent.change(screen.getByLabelText('Amount'), { target: { value: String(amount) } });
+      fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+    };
+    const savings = () => pageTitled(fake, 'Save $10,000').properties['Current Progress'].number;
+
+    it('logs preset and typed amounts', async () => {
+      await renderSynced();
+      openDetail('Save $10,000');
+      fireEvent.click(screen.getByRole('button', { name: '+50' }));
+      await waitFor(() => expect(savings()).toBe(900));
+
+      enter('add', 12.5);
+      await waitFor(() => expect(savings()).toBe(912.5));
+
+      const checkins = apiFetch.mock.calls
+        .filter(([, options]) => options?.method === 'PATCH')
+        .map(([, request]) => JSON.parse(request.body).checkin.amount);
+      expect(checkins).toEqual([50, 12.5]);
+    });
+
+    it('sets an absolute value as a check-in of the difference', async () => {
+      await renderSynced();
+      openDetail('Save $10,000');
+      enter('set', 800);
+
+      await waitFor(() => expect(savings()).toBe(800));
+      const [, request] = apiFetch.mock.calls.find(([, options]) => options?.method === 'PATCH');
+      expect(JSON.parse(request.body).checkin.amount).toBe(-50);
+    });
+
+    it('moves the +/− buttons by the step from the edit form', async () => {
+      await renderSynced();
+      openDetail('Save $10,000');
+      fireEvent.click(screen.getByTitle('Edit resolution'));
+      fireEvent.change(screen.getByLabelText('Step'), { target: { value: '25' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+      await waitFor(() => expect(pageTitled(fake, 'Save $10,000').properties['Step'].number).toBe(25));
+      fireEvent.click(screen.getByRole('button', { name: '+ Add 25' }));
+      await waitFor(() => expect(savings()).toBe(875));
+
+      fireEvent.click(screen.getByRole('button', { name: '×' }));
+      clickOnCard('Save $10,000', '−');
+      await waitFor(() => expect(savings()).toBe(850));
+    });
+
+    it('saves steps that were only kept on this device to Notion', async () => {
+      const page = pageTitled(fake, 'Save $10,000');
+      localStorage.setItem('resolutions', JSON.stringify([
+        { id: page.id, notionPageId: page.id, title: 'Save $10,000', category: 'Finance', target: 10000, current: 850, unit: 'dollars', frequency: 'yearly', streak: 0, lastCheckin: '', step: 50 },
+      ]));
+      await renderSynced();
+
+      await waitFor(() => expect(page.properties['Step'].number).toBe(50));
+      clickOnCard('Save $10,000', '+');
+      await waitFor(() => expect(savings()).toBe(900));
+    });
+
+    it('charts the progress so far in the detail view', async () => {
+      await renderSynced();
+      openDetail('Exercise 4x per week');
+      fireEvent.click(screen.getByRole('button', { name: '+ Add' }));
+
+      expect(await screen.findByRole('img', { name: /^2 of 4 sessions/ })).toBeTruthy();
+      expect(screen.getByRole('img', { name: /^weekly totals: (0, ){7}2$/ })).toBeTruthy();
+      expect(screen.getByText('Recent check-ins')).toBeTruthy();
+    });
+
+    it('queues typed amounts while offline', async () => {
+      await renderSynced();
+      setOnline(false);
+      openDetail('Save $10,000');
+      enter('add', 200);
+
+      expect(pendingOperations().map(op => [op.updates.current, op.checkin.amount])).toEqual([[1050, 200]]);
+      setOnline(true);
+      await waitFor(() => expect(savings()).toBe(1050));
+    });
+  });
+
+  describe('activity heatmap', () => {
+    it('shows the check-ins logged on a day, filtered by category', async () => {
+      await renderSynced();
+      clickOnCard('Exercise 4x per week', '+');
+      clickOnCard('Read 24 books', '+');
+
+      const today = dateKeyIn(new Date(), Intl.DateTimeFormat().resolvedOptions().timeZone);
+      fireEvent.click(screen.getByRole('button', { name: `${today}: 2 check-ins` }));
+      expect(screen.getByText('+1 sessions')).toBeTruthy();
+      expect(screen.getByText('+1 books')).toBeTruthy();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Health' }));
+      fireEvent.click(screen.getByRole('button', { name: `${today}: 1 check-in` }));
+      expect(screen.getByText('+1 sessions')).toBeTruthy();
+      expect(screen.queryByText('+1 books')).toBeNull();
+    });
+
+    it('shows check-ins logged in Notion from other devices', async () => {
+      const today = dateKeyIn(new Date(), Intl.DateTimeFormat().resolvedOptions().timeZone);
+      await fake.handle({
+        method: 'POST',
+        path: '/v1/pages',
+        headers: { authorization: `Bearer ${FAKE_API_KEY}`, 'notion-version': '2022-06-28' },
+        body: {
+          parent: { database_id: CHECKINS_DATABASE_ID },
+          properties: {
+            'Check-in': { title: [{ text: { content: 'Read 24 books +2' } }] },
+            'Resolution': { relation: [{ id: pageTitled(fake, 'Read 24 books').id }] },
+            'Date': { date: { start: today } },
+            'Amount': { number: 2 },
+          },
+        },
+      });
+      await renderSynced();
+
+      fireEvent.click(await screen.findByRole('button', { name: `${today}: 1 check-in` }));
+      expect(screen.getByText('+2 books')).toBeTruthy();
+    });
+  });
+
+  describe('offline queue', () => {
+    it('queues check-ins while offline and replays them when back online', async () => {
+      await renderSynced();
+      setOnline(false);
+
+      clickOnCard('Exercise 4x per week', '+');
+      clickOnCard('Exercise 4x per week', '+');
+
+      expect(await screen.findByText(/\(2 pending\)/)).toBeTruthy();
+      expect(screen.getByText('Offline mode')).toBeTruthy();
+      expect(pendingOperations().map(op => [op.type, op.updates.current])).toEqual([['update', 2], ['update', 3]]);
+      expect(pageTitled(fake, 'Exercise 4x per week').properties['Current Progress'].number).toBe(1);
+
+      setOnline(true);
+
+      await waitFor(() => expect(pendingOperations()).toEqual([]));
+      expect(pageTitled(fake, 'Exercise 4x per week').properties['Current Progress'].number).toBe(3);
+      expect(await screen.findByText('Synced with Notion')).toBeTruthy();
+    });
+
+    it('builds offline edits on the version the period reset wrote', async () => {
+      const page = pageTitled(fake, 'Exercise 4x per week');
+      const lastWeek = dateKeyIn(new Date(Date.now() - 14 * 24 * 60 * 60 * 1000), deviceTimeZone());
+      editInNotion(fake, page.id, { 'Last Check-in': { date: { start: lastWeek } } });
+
+      await renderSynced();
+      await waitFor(() => expect(page.properties['Current Progress'].number).toBe(0));
+
+      setOnline(false);
+      clickOnCard('Exercise 4x per week', '+');
+      setOnline(true);
+
+      await waitFor(() => expect(pendingOperations()).toEqual([]));
+      expect(page.properties['Current Progress'].number).toBe(1);
+      expect(screen.queryByText('Sync conflict')).toBeNull();
+    });
+
+    it('keeps the queue when the replay fails', async () => {
+      await renderSynced();
+      setOnline(false);
+      clickOnCard('Exercise 4x per week', '+');
+
+      // The replay reads the page for its version check, then writes it
+      fake.failNext(500, 2);
+      setOnline(true);
+
+      expect(await screen.findByText('Sync error')).toBeTruthy();
+      expect(pendingOperations()).toHaveLength(1);
+    });
+
+    it('stops at a conflicting Notion edit and asks what to keep', async () => {
+      await renderSynced();
+      setOnline(false);
+      clickOnCard('Exercise 4x per week', '+');
+
+      const page = pageTitled(fake, 'Exercise 4x per week');
+      editInNotion(fake, page.id, { 'Current Progress': { number: 3 } });
+      setOnline(true);
+
+      expect(await screen.findByText('Sync conflict')).toBeTruthy();
+      fireEvent.click(screen.getByRole('button', { name: "Merge (add my progress to Notion's)" }));
+
+      await waitFor(() => expect(page.properties['Current Progress'].number).toBe(4));
+      expect(pendingOperations()).toEqual([]);
+    });
+  });
+
+  describe('tabs', () => {
+    // Exclusive Web Locks, enough for the leader election and the sync lock
+    const createLocks = () => {
+      const tails = new Map();
+      const outstanding = new Map();
+      return {
+        request(name, ...args) {
+          const callback = args.pop();
+          const { ifAvailable, signal } = args[0] || {};
+          if (ifAvailable && outstanding.get(name)) return Promise.resolve(callback(null));
+
+          outstanding.set(name, (outstanding.get(name) || 0) + 1);
+          const result = (tails.get(name) || Promise.resolve())
+            .then(() => {
+              if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+              return callback({ name });
+            })
+            .finally(() => outstanding.set(name, outstanding.get(name) - 1));
+          tails.set(name, result.catch(() => {}));
+          return result;
+        },
+      };
+    };
+
+    beforeEach(() => {
+      Object.defineProperty(window.navigator, 'locks', { configurable: true, value: createLocks() });
+    });
+
+    afterEach(() => {
+      cleanup();
+      delete window.navigator.locks;
+    });
+
+    // BroadcastChannel messages only arrive once the event loop gets a turn
+    const deliverMessages = () => act(() => new Promise(resolve => setImmediate(resolve)));
+
+    const openTabs = async () => {
+      const tabs = [render(<ResolutionTracker />), render(<ResolutionTracker />)];
+      await waitFor(() => expect(screen.getAllByText('Synced with Notion')).toHaveLength(2));
+      await deliverMessages();
+      return tabs.map(tab => ({
+        ...tab,
+        card: (title) => within(tab.container).getByText(title).closest('.glass-card'),
+      }));
+    };
+
+    const progressPatches = () => apiFetch.mock.calls.filter(([, options]) => options?.method === 'PATCH');
+
+    it('shows changes made in another tab', async () => {
+      const [first, second] = await openTabs();
+
+      fireEvent.click(within(first.card('Exercise 4x per week')).getByRole('button', { name: '+' }));
+
+      await waitFor(() => {
+        expect(within(second.card('Exercise 4x per week')).getByText('2 / 4 sessions this week')).toBeTruthy();
+      });
+    });
+
+    it('shares the offline queue and replays it once', async () => {
+      const [, second] = await openTabs();
+      setOnline(false);
+
+      fireEvent.click(within(second.card('Exercise 4x per week')).getByRole('button', { name: '+' }));
+
+      await waitFor(() => expect(screen.getAllByText(/\(1 pending\)/)).toHaveLength(2));
+      expect(pendingOperations()).toHaveLength(1);
+
+      setOnline(true);
+
+      await waitFor(() => expect(pendingOperations()).toEqual([]));
+      await waitFor(() => expect(screen.getAllByText('Synced with Notion')).toHaveLength(2));
+      expect(pageTitled(fake, 'Exercise 4x per week').properties['Current Progress'].number).toBe(2);
+      expect(progressPatches()).toHaveLength(1);
+    });
+
+    it('hands syncing over when the leading tab closes', async () => {
+      const [first, second] = await openTabs();
+      setOnline(false);
+      fireEvent.click(within(second.card('Exercise 4x per week')).getByRole('button', { name: '+' }));
+      await deliverMessages();
+
+      first.unmount();
+      setOnline(true);
+
+      await waitFor(() => expect(pendingOperations()).toEqual([]));
+      expect(pageTitled(fake, 'Exercise 4x per week').properties['Current Progress'].number).toBe(2);
+      expect(await within(second.container).findByText('Synced with Notion')).toBeTruthy();
+    });
+  });
+
+  describe('settings', () => {
+    it('keeps the chosen time zone on this device', async () => {
+      await renderSynced();
+      fireEvent.click(screen.getByTitle('Settings'));
+      fireEvent.change(screen.getByLabelText('Time zone'), { target: { value: 'Asia/Tokyo' } });
+
+      expect(JSON.parse(localStorage.getItem('settings'))).toEqual({ timeZone: 'Asia/Tokyo', reminders: false, reminderTime: '20:00' });
+      expect(screen.getByText(`Today is ${dateKeyIn(new Date(), 'Asia/Tokyo')}`, { exact: false })).toBeTruthy();
+    });
+
+    it('explains when the browser cannot receive reminders', async () => {
+      await renderSynced();
+      fireEvent.click(screen.getByTitle('Settings'));
+
+      expect(screen.getByLabelText('Daily check-in reminder').disabled).toBe(true);
+      expect(screen.getByText("This browser can't show push notifications.")).toBeTruthy();
+    });
+  });
+
+  describe('reminders', () => {
+    const endpoint = 'https://push.example.com/send/abc';
+    let subscription;
+    let registration;
+
+    beforeEach(() => {
+      const vapid = generateVapidKeys();
+      useNotionEnv({
+        NOTION_PUSH_DATABASE_ID: PUSH_DATABASE_ID,
+        VAPID_PUBLIC_KEY: vapid.publicKey,
+        VAPID_PRIVATE_KEY: vapid.privateKey,
+        VAPID_SUBJECT: 'mailto:test@example.com',
+      });
+
+      // The browser's side: a worker registration whose PushManager hands out one subscription
+      subscription = {
+        endpoint,
+        options: { applicationServerKey: Buffer.from(vapid.publicKey, 'base64url') },
+        unsubscribe: vi.fn(async () => true),
+        toJSON: () => ({
+          endpoint,
+          keys: { p256dh: Buffer.alloc(65, 4).toString('base64url'), auth: Buffer.alloc(16, 1).toString('base64url') },
+        }),
+      };
+      registration = {
+        active: { postMessage: vi.fn() },
+        pushManager: {
+          getSubscription: vi.fn(async () => null),
+          subscribe: vi.fn(async () => subscription),
+        },
+      };
+      vi.stubGlobal('PushManager', class {});
+      vi.stubGlobal('Notification', { requestPermission: vi.fn(async () => 'granted') });
+      Object.defineProperty(window.navigator, 'serviceWorker', {
+        configurable: true,
+        value: { getRegistration: async () => registration, addEventListener() {}, removeEventListener() {} },
+      });
+    });
+
+    afterEach(() => {
+      cleanup();
+      delete window.navigator.serviceWorker;
+    });
+
+    const subscriptionPage = () => [...fake.pages.values()].find(page => (
+      page.parent.database_id === PUSH_DATABASE_ID && !page.archived
+    ));
+    const text = (page, property) => page.properties[property].rich_text.map(t => t.plain_text).join('');
+
+    it('subscribes this browser and moves the reminder time', async () => {
+      await renderSynced();
+      fireEvent.click(screen.getByTitle('Settings'));
+      fireEvent.click(screen.getByLabelText('Daily check-in reminder'));
+
+      await waitFor(() => expect(screen.getByLabelText('Daily check-in reminder').checked).toBe(true));
+      expect(registration.pushManager.subscribe).toHaveBeenCalledWith(expect.objectContaining({ userVisibleOnly: true }));
+      expect(text(subscriptionPage(), 'Reminder Time')).toBe('20:00');
+      expect(text(subscriptionPage(), 'Time Zone')).toBe(deviceTimeZone());
+
+      registration.pushManager.getSubscription.mockResolvedValue(subscription);
+      fireEvent.change(screen.getByLabelText('Remind me at'), { target: { value: '07:30' } });
+      await waitFor(() => expect(text(subscriptionPage(), 'Reminder Time')).toBe('07:30'));
+      expect(JSON.parse(localStorage.getItem('settings'))).toMatchObject({ reminders: true, reminderTime: '07:30' });
+
+      fireEvent.click(screen.getByRole('button', { name: 'Send a test notification' }));
+      await waitFor(() => expect(registration.active.postMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'SHOW_REMINDER' })));
+
+      fireEvent.click(screen.getByLabelText('Daily check-in reminder'));
+      await waitFor(() => expect(subscriptionPage()).toBeUndefined());
+      expect(subscription.unsubscribe).toHaveBeenCalled();
+    });
+
+    it('stays off when notifications are blocked', async () => {
+      Notification.requestPermission.mockResolvedValue('denied');
+      await renderSynced();
+      fireEvent.click(screen.getByTitle('Settings'));
+      fireEvent.click(screen.getByLabelText('Daily check-in reminder'));
+
+      expect(await screen.findByRole('alert')).toHaveProperty('textContent', expect.stringContaining('Notifications are blocked'));
+      expect(screen.getByLabelText('Daily check-in reminder').checked).toBe(false);
+      expect(subscriptionPage()).toBeUndefined();
+    });
+  });
+
+  describe('links', () => {
+    afterEach(() => {
+      window.history.replaceState(null, '', '/');
+    });
+
+    const openWith = async (url) => {
+      window.history.replaceState(null, '', url);
+      await renderSynced();
+    };
+
+    it('opens the add form for ?action=add and drops the action from the address', async () => {
+      await openWith('/?action=add');
+
+      expect(screen.getByRole('heading', { name: 'New Resolution' })).toBeTruthy();
+      expect(window.location.search).toBe('');
+    });
+
+    it('lists what is due today for ?action=checkin, one tap each', async () => {
+      await openWith('/?action=checkin');
+      const sheet = screen.getByRole('heading', { name: 'Check in' }).closest('.modal-content');
+
+      expect(within(sheet).getAllByRole('listitem')).toHaveLength(3);
+      fireEvent.click(within(sheet).getByRole('button', { name: 'Log 1 sessions for Exercise 4x per week' }));
+
+      await waitFor(() => expect(pageTitled(fake, 'Exercise 4x per week').properties['Current Progress'].number).toBe(2));
+      // Logged rows stay, marked done
+      expect(within(sheet).getAllByRole('listitem')).toHaveLength(3);
+      expect(within(sheet).getByText('✓ +1')).toBeTruthy();
+    });
+
+    it('opens a linked resolution once it has loaded', async () => {
+      const { id } = pageTitled(fake, 'Read 24 books');
+      await openWith(`/?resolution=${id.replace(/-/g, '')}`);
+
+      expect(await screen.findByRole('heading', { level: 2, name: 'Read 24 books' })).toBeTruthy();
+      expect(window.location.search).toBe(`?resolution=${id}`);
+
+      fireEvent.click(screen.getByRole('button', { name: '×' }));
+      expect(window.location.search).toBe('');
+    });
+
+    it('keeps the address in step with the detail view', async () => {
+      await renderSynced();
+      fireEvent.click(screen.getByText('Save $10,000'));
+
+      expect(window.location.search).toBe(`?resolution=${pageTitled(fake, 'Save $10,000').id}`);
+    });
+  });
+
+  describe('updates', () => {
+    afterEach(() => {
+      serviceWorker.waitingWorker = null;
+      serviceWorker.updating = false;
+    });
+
+    it('offers to reload when a new version is waiting', async () => {
+      await renderSynced();
+      expect(screen.queryByText(/A new version is available/)).toBeNull();
+
+      const worker = { postMessage: vi.fn() };
+      act(() => serviceWorker.setWaiting(worker));
+      fireEvent.click(screen.getByRole('button', { name: 'Reload' }));
+
+      expect(worker.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+      expect(serviceWorker.updating).toBe(true);
+    });
+  });
+
+  describe('adding and deleting', () => {
+    const addGoal = (title) => {
+      fireEvent.click(screen.getByText('New Goal').closest('button'));
+      fireEvent.change(screen.getByPlaceholderText('e.g., Read 24 books'), { target: { value: title } });
+      fireEvent.click(screen.getByRole('button', { name: 'Add Goal' }));
+    };
+
+    it('creates resolutions in Notion', async () => {
+      await renderSynced();
+      addGoal('Learn to juggle');
+
+      await waitFor(() => expect(pageTitled(fake, 'Learn to juggle')).toBeTruthy());
+      expect(await screen.findByText('Synced with Notion')).toBeTruthy();
+      expect(screen.getByText('Learn to juggle')).toBeTruthy();
+    });
+
+    it('keeps the step of a resolution created online', async () => {
+      await renderSynced();
+      fireEvent.click(screen.getByText('New Goal').closest('button'));
+      fireEvent.change(screen.getByPlaceholderText('e.g., Read 24 books'), { target: { value: 'Run 500 km' } });
+      fireEvent.change(screen.getByLabelText('Step'), { target: { value: '5' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Add Goal' }));
+
+      await waitFor(() => expect(pageTitled(fake, 'Run 500 km')).toBeTruthy());
+      expect(await screen.findByText('Synced with Notion')).toBeTruthy();
+
+      const cached = JSON.parse(localStorage.getItem('resolutions')).find(r => r.title === 'Run 500 km');
+      expect(cached).toMatchObject({ id: pageTitled(fake, 'Run 500 km').id, step: 5 });
+      expect(pageTitled(fake, 'Run 500 km').properties['Step'].number).toBe(5);
+    });
+
+    it('queues resolutions added offline and creates them once online', async () => {
+      await renderSynced();
+      setOnline(false);
+      addGoal('Learn to juggle');
+
+      expect(within(card('Learn to juggle')).getByText('Local')).toBeTruthy();
+      expect(pendingOperations().map(op => op.type)).toEqual(['create']);
+
+      setOnline(true);
+
+      await waitFor(() => expect(pageTitled(fake, 'Learn to juggle')).toBeTruthy());
+      await waitFor(() => expect(within(card('Learn to juggle')).queryByText('Local')).toBeNull());
+      expect(pendingOperations()).toEqual([]);
+    });
+
+    it('queues a create that failed online, with what was logged for it since', async () => {
+      await renderSynced();
+      fake.failNext(500);
+      addGoal('Learn to juggle');
+
+      expect(await screen.findByText('Sync error')).toBeTruthy();
+      clickOnCard('Learn to juggle', '+');
+      expect(pendingOperations().map(op => op.type)).toEqual(['create', 'update']);
+
+      setOnline(false);
+      setOnline(true);
+
+      await waitFor(() => expect(pendingOperations()).toEqual([]));
+      expect(pageTitled(fake, 'Learn to juggle').properties['Current Progress'].number).toBe(1);
+    });
+
+    it('archives deleted resolutions in Notion', async () => {
+      await renderSynced();
+      const page = pageTitled(fake, 'Save $10,000');
+      clickOnCard('Save $10,000', '🗑️');
+
+      expect(screen.queryByText('Save $10,000')).toBeNull();
+      await waitFor(() => expect(page.archived).toBe(true));
+    });
+
+    it('keeps resolutions when deletion is cancelled', async () => {
+      window.confirm.mockReturnValue(false);
+      await renderSynced();
+      clickOnCard('Save $10,000', '🗑️');
+
+      expect(screen.getByText('Save $10,000')).toBeTruthy();
+      expect(pageTitled(fake, 'Save $10,000').archived).toBe(false);
+    });
+
+    it('drops the queued create when an offline resolution is deleted', async () => {
+      await renderSynced();
+      setOnline(false);
+      addGoal('Learn to juggle');
+      clickOnCard('Learn to juggle', '🗑️');
+
+      await waitFor(() => expect(pendingOperations()).toEqual([]));
+      setOnline(true);
+
+      await waitFor(() => expect(screen.queryByText(/You're offline/)).toBeNull());
+      expect(pageTitled(fake, 'Learn to juggle')).toBeUndefined();
+      expect(apiFetch.mock.calls.filter(([, options]) => options?.method === 'POST')).toEqual([]);
+    });
+  });
+});
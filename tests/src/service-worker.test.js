@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createFakeNotion } from '../../dev/fake-notion.js';
+import { ACCESS_TOKEN, useNotionEnv, mockApiFetch, createFakeIndexedDB } from '../helpers.js';
+
+const pageTitled = (fake, title) => [...fake.pages.values()].find(page => (
+  page.properties['Resolution']?.title.map(t => t.plain_text).join('') === title
+));
+
+describe('service worker Background Sync', () => {
+  let fake;
+  let fakeDB;
+  let listeners;
+  let messages;
+
+  const records = (store) => fakeDB.databases.get('ResolutionTrackerDB').get(store).records;
+
+  beforeEach(async () => {
+    useNotionEnv();
+    ({ fake } = mockApiFetch(createFakeNotion()));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    fakeDB = createFakeIndexedDB();
+    vi.stubGlobal('indexedDB', fakeDB);
+
+    // The worker's global scope, with one open tab
+    listeners = {};
+    messages = [];
+    vi.stubGlobal('self', {
+      __PRECACHE_MANIFEST: { version: 'test', urls: [] },
+      navigator: {},
+      location: new URL('http://localhost/'),
+      addEventListener: (type, listener) => { listeners[type] = listener; },
+      clients: { matchAll: async () => [{ postMessage: (message) => messages.push(message) }] },
+    });
+
+    vi.resetModules();
+    await import('../../src/service-worker.js');
+  });
+
+  // Queue `ops` the way the app does, with the headers it leaves for the worker
+  const queue = async (ops) => {
+    const { pendingQueue } = await import('../../src/services/pendingQueue.js');
+    await pendingQueue.save(ops.map((op, i) => ({ id: `op-${i + 1}`, timestamp: i + 1, ...op })), []);
+    records('meta').set('requestHeaders', { Authorization: `Bearer ${ACCESS_TOKEN}` });
+  };
+
+  const sync = () => new Promise((resolve, reject) => {
+    listeners.sync({ tag: 'sync-resolutions', waitUntil: (promise) => promise.then(resolve, reject) });
+  });
+
+  const exercise = () => pageTitled(fake, 'Exercise 4x per week');
+
+  it('replays the queue in order and tells the open tabs', async () => {
+    await queue([
+      {
+        type: 'create',
+        resolutionId: 'local-1',
+        data: { title: 'Learn to juggle', category: 'Personal Growth', target: 10, current: 0, unit: 'times', frequency: 'weekly' },
+      },
+      { type: 'update', resolutionId: 'local-1', updates: { current: 2 }, checkin: { date: '2026-03-10', amount: 2 } },
+      { type: 'update', resolutionId: exercise().id, pageId: exercise().id, updates: { current: 3 }, baseVersion: exercise().last_edited_time },
+    ]);
+
+    await sync();
+
+    const created = pageTitled(fake, 'Learn to juggle');
+    expect(created.properties['Current Progress'].number).toBe(2);
+    expect(exercise().properties['Current Progress'].number).toBe(3);
+    expect([...records('pendingUpdates').values()]).toEqual([]);
+    expect(records('meta').get('createdPages')).toEqual({ 'local-1': created.id });
+    expect(messages).toEqual([{ type: 'queue-synced', done: 3, remaining: 0, conflict: false }]);
+  });
+
+  it('flags an update Notion has a newer version of and stops there', async () => {
+    await queue([
+      { type: 'update', resolutionId: exercise().id, pageId: exercise().id, updates: { current: 3 }, baseVersion: '2026-01-01T00:00:00.000Z' },
+      { type: 'update', resolutionId: exercise().id, pageId: exercise().id, updates: { current: 4 }, baseVersion: '2026-01-01T00:00:00.000Z' },
+    ]);
+
+    await sync();
+
+    const [first, second] = [...records('pendingUpdates').values()];
+    expect(first.conflict).toMatchObject({ id: exercise().id, current: 1 });
+    expect(second.conflict).toBeUndefined();
+    expect(exercise().properties['Current Progress'].number).toBe(1);
+    expect(messages).toEqual([{ type: 'queue-synced', done: 0, remaining: 2, conflict: true }]);
+  });
+
+  it.each([500, 429])('asks the browser to retry later after a %s', async (status) => {
+    await queue([{ type: 'delete', resolutionId: exercise().id, pageId: exercise().id }]);
+    fake.failNext(status);
+
+    await expect(sync()).rejects.toThrow();
+
+    expect(records('pendingUpdates').size).toBe(1);
+    expect(exercise().archived).toBe(false);
+    expect(messages).toEqual([]);
+  });
+
+  it('leaves refused operations for the app to report', async () => {
+    await queue([
+      { type: 'update', resolutionId: exercise().id, pageId: exercise().id, updates: { target: -1 } },
+      { type: 'delete', resolutionId: exercise().id, pageId: exercise().id },
+    ]);
+
+    await sync();
+
+    expect(records('pendingUpdates').size).toBe(2);
+    expect(exercise().archived).toBe(false);
+    expect(messages).toEqual([]);
+  });
+});
@@ -0,0 +1,76 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createFakeIndexedDB } from '../../helpers.js';
+
+describe('pendingQueue with IndexedDB', () => {
+  let fakeDB;
+  let pendingQueue;
+
+  const records = (store) => [...fakeDB.databases.get('ResolutionTrackerDB').get(store).records.values()];
+
+  beforeEach(async () => {
+    localStorage.clear();
+    fakeDB = createFakeIndexedDB();
+    vi.stubGlobal('indexedDB', fakeDB);
+    vi.resetModules();
+    ({ pendingQueue } = await import('../../../src/services/pendingQueue.js'));
+  });
+
+  const op = (id, timestamp, extra = {}) => ({ id, timestamp, type: 'update', pageId: 'page-1', updates: { current: 1 }, ...extra });
+
+  it('starts empty and writes only what changed', async () => {
+    expect(pendingQueue.usesIndexedDB).toBe(true);
+    expect(pendingQueue.initial()).toEqual([]);
+
+    const first = op('op-1-0000', 1);
+    const second = op('op-2-0001', 2);
+    await pendingQueue.save([first, second], []);
+    expect(await pendingQueue.load()).toEqual([first, second]);
+
+    const flagged = { ...second, conflict: { current: 5 } };
+    await pendingQueue.save([flagged], [first, second]);
+    expect(await pendingQueue.load()).toEqual([flagged]);
+  });
+
+  it('does not overwrite operations another context already removed', async () => {
+    const first = op('op-1-0000', 1);
+    const second = op('op-2-0001', 2);
+    await pendingQueue.save([first, second], []);
+
+    // The worker replayed `first` while this tab still had it in memory
+    fakeDB.databases.get('ResolutionTrackerDB').get('pendingUpdates').records.delete(first.id);
+    const third = op('op-3-0002', 3);
+    await pendingQueue.save([first, second, third], [first, second]);
+
+    expect(records('pendingUpdates').map(o => o.id)).toEqual(['op-2-0001', 'op-3-0002']);
+  });
+
+  it('moves a localStorage queue into IndexedDB in queue order', async () => {
+    localStorage.setItem('pendingUpdates', JSON.stringify([
+      op('op-20-0000', 20),
+      { timestamp: 10, pageId: 'page-2', updates: { current: 2 } },
+    ]));
+
+    const queue = await pendingQueue.load();
+
+    expect(queue.map(o => [o.id, o.type])).toEqual([['op-10-1', 'update'], ['op-20-0000', 'update']]);
+    expect(localStorage.getItem('pendingUpdates')).toBeNull();
+    expect(records('pendingUpdates')).toHaveLength(2);
+  });
+
+  it('keeps the request headers for the service worker until they are forgotten', async () => {
+    await pendingQueue.requestSync({ Authorization: 'Bearer token', 'X-Time-Zone': 'Asia/Tokyo' });
+    expect(records('meta')).toEqual([{ Authorization: 'Bearer token', 'X-Time-Zone': 'Asia/Tokyo' }]);
+
+    await pendingQueue.requestSync(null);
+    expect(records('meta')).toEqual([]);
+  });
+
+  it('hands over the pages the worker created once', async () => {
+    await pendingQueue.load();
+    fakeDB.databases.get('ResolutionTrackerDB').get('meta').records.set('createdPages', { 'local-1': 'page-9' });
+
+    expect(await pendingQueue.takeCreatedPages()).toEqual({ 'local-1': 'page-9' });
+    expect(await pendingQueue.takeCreatedPages()).toEqual({});
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { dailyActivity, activityCount, heatmapStart, heatmapWeeks, activityLevel } from '../../../src/utils/activity';
+
+const books = { title: 'Read', category: 'Personal Growth', checkins: [{ date: '2026-01-05', amount: 1 }, { date: '2026-01-06', amount: -1 }] };
+const runs = { title: 'Run', category: 'Health', checkins: [{ date: '2026-01-05', amount: 3 }] };
+
+describe('dailyActivity', () => {
+  it('groups check-ins by day across resolutions', () => {
+    const days = dailyActivity([books, runs]);
+
+    expect(days.get('2026-01-05')).toEqual([{ resolution: books, amount: 1 }, { resolution: runs, amount: 3 }]);
+    expect(activityCount(days.get('2026-01-05'))).toBe(2);
+    // Corrections are listed but aren't activity
+    expect(activityCount(days.get('2026-01-06'))).toBe(0);
+  });
+
+  it('keeps only the chosen category', () => {
+    const days = dailyActivity([books, runs, { title: 'No log', category: 'Health' }], 'Health');
+
+    expect([...days.keys()]).toEqual(['2026-01-05']);
+    expect(days.get('2026-01-05')).toEqual([{ resolution: runs, amount: 3 }]);
+  });
+
+  it('reads the Notion check-in log instead of the local ones when there is one', () => {
+    const swim = { id: 'page-swim', title: 'Swim', category: 'Health', checkins: [{ date: '2026-01-05', amount: 1 }] };
+    const log = [
+      { resolutionId: 'page-swim', date: '2026-01-07', amount: 2 },
+      { resolutionId: 'page-archived', date: '2026-01-06', amount: 1 },
+      { resolutionId: 'page-swim', date: '2026-01-06', amount: 1 },
+    ];
+
+    const days = dailyActivity([swim], '', log);
+
+    expect([...days.keys()]).toEqual(['2026-01-06', '2026-01-07']);
+    expect(days.get('2026-01-07')).toEqual([{ resolution: swim, amount: 2 }]);
+    expect(dailyActivity([swim], 'Finance', log).size).toBe(0);
+  });
+});
+
+describe('heatmapWeeks', () => {
+  it('lays out Monday-first weeks ending with the current one', () => {
+    const weeks = heatmapWeeks('2026-01-07', 2);
+
+    expect(weeks).toEqual([
+      ['2025-12-29', '2025-12-30', '2025-12-31', '2026-01-01', '2026-01-02', '2026-01-03', '2026-01-04'],
+      ['2026-01-05', '2026-01-06', '2026-01-07', null, null, null, null],
+    ]);
+    expect(heatmapWeeks('2026-01-07')).toHaveLength(53);
+    expect(heatmapWeeks('2026-01-07')[0][0]).toBe(heatmapStart('2026-01-07'));
+  });
+});
+
+describe('activityLevel', () => {
+  it('shades days relative to the busiest one', () => {
+    expect([0, 1, 2, 3, 4, 8].map(count => activityLevel(count, 8))).toEqual([0, 1, 1, 2, 2, 4]);
+    expect(activityLevel(0, 0)).toBe(0);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { chartEntries, paceSeries, periodTotals, periodLabel } from '../../../src/utils/charts';
+
+const weekly = (extra = {}) => ({ frequency: 'weekly', target: 4, current: 0, lastCheckin: '', ...extra });
+
+describe('chartEntries', () => {
+  it('prefers the Notion log and falls back to the local one, newest first', () => {
+    const checkins = [{ date: '2026-01-05', amount: 1 }, { date: '2026-01-06', amount: 2 }];
+    const log = [{ id: 'a', date: '2026-01-06', amount: 2 }];
+
+    expect(chartEntries({ checkins }, log)).toBe(log);
+    expect(chartEntries({ checkins }, null)).toEqual([checkins[1], checkins[0]]);
+    expect(chartEntries({}, [])).toEqual([]);
+  });
+});
+
+describe('paceSeries', () => {
+  it('accumulates check-ins day by day against an even pace', () => {
+    // Wednesday of the week starting Monday 2026-01-05
+    const resolution = weekly({ current: 3, lastCheckin: '2026-01-07' });
+    const entries = [{ date: '2026-01-07', amount: 2 }, { date: '2026-01-05', amount: 1 }];
+    const series = paceSeries(resolution, entries, '2026-01-07');
+
+    expect(series.days).toBe(7);
+    expect(series.points).toEqual([
+      { day: 0, value: 0 },
+      { day: 1, value: 1 },
+      { day: 2, value: 1 },
+      { day: 3, value: 3 },
+    ]);
+    expect(series.expected).toBeCloseTo(12 / 7);
+  });
+
+  it('starts from progress the log does not cover', () => {
+    const resolution = { frequency: 'yearly', target: 10000, current: 900, lastCheckin: '2026-01-03' };
+    const series = paceSeries(resolution, [{ date: '2026-01-03', amount: 50 }], '2026-01-03');
+
+    expect(series.days).toBe(365);
+    expect(series.points.map(p => p.value)).toEqual([850, 850, 850, 900]);
+  });
+
+  it('ignores check-ins from earlier periods', () => {
+    const resolution = weekly({ current: 1, lastCheckin: '2026-01-05' });
+    const entries = [{ date: '2026-01-05', amount: 1 }, { date: '2026-01-02', amount: 3 }];
+
+    expect(paceSeries(resolution, entries, '2026-01-05').points).toEqual([
+      { day: 0, value: 0 },
+      { day: 1, value: 1 },
+    ]);
+  });
+});
+
+describe('periodTotals', () => {
+  it('ends with the current period and fills earlier ones from history or check-ins', () => {
+    const resolution = weekly({
+      current: 2,
+      lastCheckin: '2026-01-13',
+      history: [{ period: '2026-01-05', value: 5, target: 3 }],
+    });
+    const entries = [{ date: '2025-12-30', amount: 2 }, { date: '2025-12-31', amount: 1 }];
+
+    expect(periodTotals(resolution, entries, '2026-01-14', 4)).toEqual([
+      { period: '2025-12-22', value: 0, target: 4 },
+      { period: '2025-12-29', value: 3, target: 4 },
+      { period: '2026-01-05', value: 5, target: 3 },
+      { period: '2026-01-12', value: 2, target: 4 },
+    ]);
+  });
+
+  it('rolls a stale current period into history first', () => {
+    const resolution = weekly({ current: 4, lastCheckin: '2026-01-06' });
+
+    expect(periodTotals(resolution, [], '2026-01-14', 2)).toEqual([
+      { period: '2026-01-05', value: 4, target: 4 },
+      { period: '2026-01-12', value: 0, target: 4 },
+    ]);
+  });
+});
+
+describe('periodLabel', () => {
+  it('shortens period starts for the axis', () => {
+    expect(periodLabel('2026-03-09', 'weekly')).toBe('3/9');
+    expect(periodLabel('2026-03-01', 'monthly')).toBe('Mar');
+    expect(periodLabel('2026-01-01', 'yearly')).toBe('2026');
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { readLink, resolutionLink, findLinkedResolution } from '../../../src/utils/links';
+
+describe('readLink', () => {
+  it('reads the action and linked resolution', () => {
+    expect(readLink('?action=checkin')).toEqual({ action: 'checkin', resolutionId: null });
+    expect(readLink('?action=add')).toEqual({ action: 'add', resolutionId: null });
+    expect(readLink(resolutionLink('local-1 a').slice(1))).toEqual({ action: null, resolutionId: 'local-1 a' });
+  });
+
+  it('ignores unknown actions', () => {
+    expect(readLink('?action=delete-everything')).toEqual({ action: null, resolutionId: null });
+  });
+});
+
+describe('findLinkedResolution', () => {
+  const resolutions = [
+    { id: 'local-1', notionPageId: null },
+    { id: '1429989f-e8ac-4eff-bc8f-57f56486db54', notionPageId: '1429989f-e8ac-4eff-bc8f-57f56486db54' },
+  ];
+
+  it('matches ids with or without dashes, as in Notion page URLs', () => {
+    expect(findLinkedResolution(resolutions, 'local-1')).toBe(resolutions[0]);
+    expect(findLinkedResolution(resolutions, '1429989FE8AC4EFFBC8F57F56486DB54')).toBe(resolutions[1]);
+    expect(findLinkedResolution(resolutions, 'gone')).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { periodDays, expectedProgress, getPace, formatDay, describeProjection } from '../../../src/utils/pace';
+
+const savings = (current, lastCheckin = '2026-01-15') => ({
+  frequency: 'yearly', target: 10000, current, lastCheckin,
+});
+
+describe('periodDays', () => {
+  it('counts the days of the period and those started so far', () => {
+    expect(periodDays('weekly', '2026-01-07')).toEqual({ days: 7, elapsed: 3 });
+    expect(periodDays('monthly', '2026-02-10')).toEqual({ days: 28, elapsed: 10 });
+    expect(periodDays('yearly', '2026-12-31')).toEqual({ days: 365, elapsed: 365 });
+    expect(periodDays('daily', '2026-01-07')).toEqual({ days: 1, elapsed: 1 });
+  });
+});
+
+describe('expectedProgress', () => {
+  it('spreads the target evenly over the period', () => {
+    expect(expectedProgress(savings(0), '2026-01-15')).toBeCloseTo(10000 * 15 / 365);
+    expect(expectedProgress({ frequency: 'weekly', target: 7 }, '2026-01-07')).toBe(3);
+  });
+});
+
+describe('getPace', () => {
+  it('judges yearly goals against the year so far', () => {
+    // $411 expected by January 15, give or take a day's $27
+    expect(getPace(savings(850), '2026-01-15').status).toBe('ahead');
+    expect(getPace(savings(400), '2026-01-15').status).toBe('on-track');
+    expect(getPace(savings(850, '2026-06-01'), '2026-06-01').status).toBe('behind');
+    expect(getPace(savings(10000), '2026-06-01').status).toBe('done');
+  });
+
+  it('starts a new period from zero', () => {
+    const weekly = { frequency: 'weekly', target: 4, current: 4, lastCheckin: '2026-01-04' };
+    expect(getPace(weekly, '2026-01-09').status).toBe('behind');
+  });
+
+  it('projects the finish from the rate so far', () => {
+    // $100 a day over 15 days
+    const pace = getPace(savings(1500), '2026-01-15');
+    expect(pace.projected).toBe('2026-04-10');
+    expect(pace.periodEnd).toBe('2026-12-31');
+
+    expect(getPace(savings(0), '2026-01-15').projected).toBeNull();
+    expect(getPace({ frequency: 'daily', target: 2, current: 1, lastCheckin: '2026-01-15' }, '2026-01-15').projected).toBeNull();
+  });
+});
+
+describe('describeProjection', () => {
+  it('says when the goal will be reached and whether that is in time', () => {
+    expect(describeProjection(getPace(savings(1500), '2026-01-15'), '2026-01-15')).toBe('On pace to finish Apr 10');
+    // $3,000 over 181 days leaves 423 more days to go
+    expect(describeProjection(getPace(savings(3000, '2026-06-30'), '2026-06-30'), '2026-06-30'))
+      .toBe('At this pace: Aug 27, 2027, after the Dec 31 deadline');
+    expect(describeProjection(getPace(savings(10000), '2026-06-01'), '2026-06-01')).toBeNull();
+  });
+});
+
+describe('formatDay', () => {
+  it('adds the year only when it differs from today', () => {
+    expect(formatDay('2026-03-14', '2026-01-01')).toBe('Mar 14');
+    expect(formatDay('2027-03-14', '2026-01-01')).toBe('Mar 14, 2027');
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  getPeriodStart, shiftPeriod, periodsBetween, rollOverPeriod,
+  todayKey, setTimeZone, getTimeZone, deviceTimeZone,
+} from '../../../src/utils/periods';
+
+describe('todayKey', () => {
+  afterEach(() => {
+    setTimeZone(null);
+    vi.useRealTimers();
+  });
+
+  it("is the calendar day in the configured time zone, not UTC's", () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-01-08T03:30:00Z'));
+
+    setTimeZone('America/New_York');
+    expect(todayKey()).toBe('2026-01-07');
+    setTimeZone('Asia/Tokyo');
+    expect(todayKey()).toBe('2026-01-08');
+  });
+
+  it("follows the device's time zone when none is configured", () => {
+    setTimeZone('');
+    expect(getTimeZone()).toBe(deviceTimeZone());
+  });
+});
+
+describe('getPeriodStart', () => {
+  it.each([
+    ['2026-01-07', 'daily', '2026-01-07'],
+    ['2026-01-07', 'weekly', '2026-01-05'],
+    ['2026-01-04', 'weekly', '2025-12-29'],
+    ['2026-01-07', 'monthly', '2026-01-01'],
+    ['2026-03-31', 'yearly', '2026-01-01'],
+  ])('%s (%s) starts on %s', (date, frequency, start) => {
+    expect(getPeriodStart(date, frequency)).toBe(start);
+  });
+});
+
+describe('shiftPeriod and periodsBetween', () => {
+  it('moves whole periods', () => {
+    expect(shiftPeriod('2026-01-07', 'weekly', -1)).toBe('2025-12-29');
+    expect(shiftPeriod('2026-01-31', 'monthly', 1)).toBe('2026-02-01');
+    expect(shiftPeriod('2026-03-29', 'daily', 1)).toBe('2026-03-30');
+  });
+
+  it('counts period boundaries, not elapsed time', () => {
+    expect(periodsBetween('2026-01-11', '2026-01-12', 'weekly')).toBe(1);
+    expect(periodsBetween('2026-01-05', '2026-01-11', 'weekly')).toBe(0);
+    expect(periodsBetween('2025-12-31', '2026-01-01', 'yearly')).toBe(1);
+    expect(periodsBetween('2025-11-15', '2026-02-01', 'monthly')).toBe(3);
+  });
+});
+
+describe('rollOverPeriod', () => {
+  const weekly = { frequency: 'weekly', current: 3, target: 4, lastCheckin: '2026-01-07' };
+
+  it('keeps progress inside the same period', () => {
+    expect(rollOverPeriod(weekly, '2026-01-11')).toBe(weekly);
+  });
+
+  it('resets progress in a new period and records the old one', () => {
+    const rolled = rollOverPeriod(weekly, '2026-01-12');
+    expect(rolled.current).toBe(0);
+    expect(rolled.history).toEqual([{ period: '2026-01-05', value: 3, target: 4 }]);
+  });
+
+  it('is idempotent', () => {
+    const once = rollOverPeriod(weekly, '2026-01-12');
+    expect(rollOverPeriod(once, '2026-01-20')).toBe(once);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { logCheckin, computeStreak } from '../../../src/utils/streak';
+
+const daily = (checkins, extra = {}) => ({ frequency: 'daily', checkins, ...extra });
+
+describe('logCheckin', () => {
+  it('snapshots the stored streak on the first entry', () => {
+    const resolution = { streak: 5, lastCheckin: '2026-01-06' };
+    expect(logCheckin(resolution, 1, '2026-01-07')).toEqual({
+      checkins: [{ date: '2026-01-07', amount: 1 }],
+      streakBase: { streak: 5, lastCheckin: '2026-01-06' },
+    });
+  });
+
+  it('ignores zero changes', () => {
+    expect(logCheckin({ checkins: [] }, 0, '2026-01-07')).toEqual({ checkins: [] });
+  });
+});
+
+describe('computeStreak', () => {
+  it('counts consecutive periods with progress', () => {
+    const log = [
+      { date: '2026-01-05', amount: 1 },
+      { date: '2026-01-06', amount: 1 },
+      { date: '2026-01-07', amount: 2 },
+    ];
+    expect(computeStreak(daily(log), '2026-01-07')).toBe(3);
+  });
+
+  it('does not break on the still-open current period', () => {
+    expect(computeStreak(daily([{ date: '2026-01-06', amount: 1 }]), '2026-01-07')).toBe(1);
+  });
+
+  it('breaks after a missed period', () => {
+    expect(computeStreak(daily([{ date: '2026-01-05', amount: 1 }]), '2026-01-07')).toBe(0);
+  });
+
+  it('treats a corrected-away day as missed', () => {
+    const log = [
+      { date: '2026-01-05', amount: 1 },
+      { date: '2026-01-06', amount: 1 },
+      { date: '2026-01-06', amount: -1 },
+      { date: '2026-01-07', amount: 1 },
+    ];
+    expect(computeStreak(daily(log), '2026-01-07')).toBe(1);
+  });
+
+  it('continues the pre-log streak', () => {
+    const resolution = daily([{ date: '2026-01-07', amount: 1 }], { streakBase: { streak: 4, lastCheckin: '2026-01-06' } });
+    expect(computeStreak(resolution, '2026-01-07')).toBe(5);
+  });
+
+  it('trusts the stored streak without a log unless a period was missed', () => {
+    const resolution = { frequency: 'weekly', streak: 6, lastCheckin: '2026-01-07' };
+    expect(computeStreak(resolution, '2026-01-14')).toBe(6);
+    expect(computeStreak(resolution, '2026-01-21')).toBe(0);
+  });
+});
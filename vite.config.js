@@ -1,7 +1,79 @@
-import { defineConfig } from 'vite'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync, statSync } from 'node:fs'
+import { sep } from 'node:path'
+import { defineConfig, loadEnv } from 'vite'
+import { rollup } from 'rollup'
 import react from '@vitejs/plugin-react-swc'
+import { apiMiddleware } from './api/_lib/dev-server.js'
+
+// Serve api/ from `vite` and `vite preview` too, so the app runs without Vercel
+const apiRoutes = () => ({
+  name: 'api-routes',
+  configureServer(server) {
+    server.middlewares.use(apiMiddleware((file) => server.ssrLoadModule(file)))
+  },
+  configurePreviewServer(server) {
+    server.middlewares.use(apiMiddleware())
+  },
+})
+
+// Emit service-worker.js from src/service-worker.js with the list of files to
+// precache: every file of this build (hashed names) and everything in public/.
+// The version is a hash of their contents, so any change installs a new worker.
+// The worker shares modules with the app (the queue replay), so it's bundled
+// on its own into a classic script, which every browser can run as a worker.
+const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  enforce: 'post',
+  async generateBundle(_options, bundle) {
+    const files = new Map()
+    for (const [file, output] of Object.entries(bundle)) {
+      if (file.endsWith('.map')) continue
+      files.set(file === 'index.html' ? '/' : `/${file}`, output.type === 'chunk' ? output.code : output.source)
+    }
+    for (const file of readdirSync('public', { recursive: true })) {
+      const path = `public/${file}`
+      if (statSync(path).isFile()) files.set(`/${file.split(sep).join('/')}`, readFileSync(path))
+    }
+
+    const urls = [...files.keys()].sort()
+    const hash = createHash('sha256')
+    for (const url of urls) hash.update(url).update(files.get(url))
+    const version = hash.digest('hex').slice(0, 12)
+
+    const worker = await rollup({ input: 'src/service-worker.js' })
+    const { output: [{ code }] } = await worker.generate({ format: 'iife' })
+    await worker.close()
+
+    this.emitFile({
+      type: 'asset',
+      fileName: 'service-worker.js',
+      source: `self.__PRECACHE_MANIFEST = ${JSON.stringify({ version, urls })};\n\n${code}`,
+    })
+  },
+})
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // The API routes read server-side variables (no VITE_ prefix) from process.env.
+  // Tests set their own, so a developer's .env.local can't leak into them.
+  if (mode !== 'test') {
+    const env = loadEnv(mode, process.cwd(), '')
+    for (const [key, value] of Object.entries(env)) {
+      process.env[key] ??= value
+    }
+  }
+
+  return {
+    plugins: [react(), apiRoutes(), serviceWorker()],
+    test: {
+      include: ['tests/**/*.test.{js,jsx}'],
+      // Component tests opt into jsdom with a `@vitest-environment jsdom` comment
+      environment: 'node',
+      unstubEnvs: true,
+      unstubGlobals: true,
+      restoreMocks: true,
+    },
+  }
 })